@@ -1,56 +1,75 @@
 /**
  * MTG Pocket - API Module (WITH SET WHITELIST)
  * 
- * Handles all interactions with the Scryfall API including pagination,
- * set loading, and card queries.
+ * Handles set loading, card queries and filtering. Raw data comes from the
+ * active card-data provider (card-provider.js) and cacheable providers are
+ * served through the offline cache (cache.js).
  */
 
 import { 
-  SCRYFALL_API_BASE, 
-  SCRYFALL_RATE_LIMIT_DELAY,
   EXCLUDED_SET_KEYWORDS,
   EXCLUDED_SET_PATTERNS,
   MIN_SET_SIZE,
   CARD_RARITIES,
-  WHITELISTED_SETS
+  WHITELISTED_SETS,
+  CACHE_CONFIG
 } from './constants.js';
+import { cachedFetch, getSetCacheTTL } from './cache.js';
+import { getProvider } from './card-provider.js';
+import { NoResultsError } from './errors.js';
+
+export { fetchAllPages } from './scryfall-provider.js';
 
 // ===== CORE API FUNCTIONS =====
 
 /**
- * Fetch all pages from a paginated Scryfall API endpoint
- * @param {string} url - The initial API URL
- * @returns {Promise<Array>} - Array of all data across all pages
+ * Run a query against the active provider, through the offline cache if it is cacheable
+ * A query with no results resolves to an empty array; every other failure is thrown.
+ * @param {string} key - Query key, namespaced by provider id for caching
+ * @param {Function} query - Receives the provider, returns a Promise of data
+ * @param {Object} cacheOptions - { ttl, setCode, forceRefresh }
+ * @returns {Promise<Array>} - Query result
+ * @throws {ApiError} - When the provider fails and nothing is cached
  */
-export async function fetchAllPages(url) {
-  let allData = [];
-  let nextUrl = url;
+async function queryProvider(key, query, cacheOptions = {}) {
+  const provider = getProvider();
+  const run = () => query(provider).catch(error => {
+    if (error instanceof NoResultsError) return [];
+    throw error;
+  });
   
-  while (nextUrl) {
-    const res = await fetch(nextUrl);
-    const json = await res.json();
-    allData.push(...json.data);
-    nextUrl = json.next_page || null;
-    
-    if (nextUrl) {
-      console.log('Fetching next page:', nextUrl);
-      // Small delay to respect Scryfall rate limits
-      await new Promise(resolve => setTimeout(resolve, SCRYFALL_RATE_LIMIT_DELAY));
-    }
+  if (!provider.cacheable) {
+    return await run();
   }
   
-  return allData;
+  return await cachedFetch(`${provider.id}:${key}`, run, cacheOptions);
 }
 
 // ===== SET QUERIES =====
 
 /**
- * Fetch all available MTG sets from Scryfall
+ * Fetch all available MTG sets from the active provider
+ * @param {Object} options - { forceRefresh }
  * @returns {Promise<Array>} - Array of set objects
  */
-export async function fetchAllSets() {
-  const url = `${SCRYFALL_API_BASE}/sets`;
-  return await fetchAllPages(url);
+export async function fetchAllSets(options = {}) {
+  return await queryProvider('sets', provider => provider.fetchSets(), {
+    ttl: CACHE_CONFIG.setListTTL,
+    forceRefresh: options.forceRefresh
+  });
+}
+
+/**
+ * Filter sets for the set selector
+ * Curated providers (local fixtures) only drop child sets.
+ * @param {Array} sets - Array of set objects
+ * @returns {Array} - Filtered array of sets
+ */
+export function filterSelectableSets(sets) {
+  if (getProvider().curatedSets) {
+    return sets.filter(set => !set.parent_set_code);
+  }
+  return filterSets(sets);
 }
 
 /**
@@ -107,64 +126,59 @@ export function sortSetsByDate(sets) {
 /**
  * Fetch all cards for a specific set
  * @param {string} setCode - The set code (e.g., 'BLB', 'MH3')
+ * @param {Object} cacheOptions - Options passed to the offline cache
  * @returns {Promise<Array>} - Array of card objects
  */
-export async function fetchSetCards(setCode) {
-  const url = `${SCRYFALL_API_BASE}/cards/search?q=set:${setCode}+game:paper&unique=cards`;
-  
-  try {
-    const allData = await fetchAllPages(url);
-    console.log(`Total cards from API for ${setCode}:`, allData.length);
-    return allData;
-  } catch (error) {
-    console.error(`Error fetching cards for set ${setCode}:`, error);
-    return [];
-  }
+export async function fetchSetCards(setCode, cacheOptions = {}) {
+  const allData = await queryProvider(
+    `cards:${setCode}`,
+    provider => provider.fetchSetCards(setCode),
+    cacheOptions
+  );
+  console.log(`Total cards from API for ${setCode}:`, allData.length);
+  return allData;
 }
 
 /**
  * Fetch full-art and extended-art cards for a set
  * @param {string} setCode - The set code
+ * @param {Object} cacheOptions - Options passed to the offline cache
  * @returns {Promise<Array>} - Array of full-art card objects
  */
-export async function fetchFullArtCards(setCode) {
-  const url = `${SCRYFALL_API_BASE}/cards/search?q=set:${setCode}+game:paper+(is:extended+OR+is:fullart)&unique=cards`;
-  
-  try {
-    const data = await fetchAllPages(url);
-    console.log(`Full-art cards for ${setCode}:`, data.length);
-    return data;
-  } catch (error) {
-    console.log(`No full-art cards found for ${setCode}`);
-    return [];
-  }
+export async function fetchFullArtCards(setCode, cacheOptions = {}) {
+  const data = await queryProvider(
+    `fullart:${setCode}`,
+    provider => provider.fetchFullArtCards(setCode),
+    cacheOptions
+  );
+  console.log(`Full-art cards for ${setCode}:`, data.length);
+  return data;
 }
 
 /**
  * Fetch story spotlight cards for a set
  * @param {string} setCode - The set code
+ * @param {Object} cacheOptions - Options passed to the offline cache
  * @returns {Promise<Array>} - Array of story spotlight card objects
  */
-export async function fetchStorySpotlightCards(setCode) {
-  const url = `${SCRYFALL_API_BASE}/cards/search?q=set:${setCode}+is:spotlight&unique=cards`;
-  
-  try {
-    const data = await fetchAllPages(url);
-    console.log(`Story spotlight cards for ${setCode}:`, data.length);
-    return data;
-  } catch (error) {
-    console.log(`No story spotlight cards found for ${setCode}`);
-    return [];
-  }
+export async function fetchStorySpotlightCards(setCode, cacheOptions = {}) {
+  const data = await queryProvider(
+    `spotlight:${setCode}`,
+    provider => provider.fetchStorySpotlightCards(setCode),
+    cacheOptions
+  );
+  console.log(`Story spotlight cards for ${setCode}:`, data.length);
+  return data;
 }
 
 /**
  * Fetch masterpiece cards for child masterpiece sets
  * @param {string} parentSetCode - The parent set code
  * @param {Array} allSets - Array of all set objects
+ * @param {Object} cacheOptions - Options passed to the offline cache
  * @returns {Promise<Array>} - Array of masterpiece card objects
  */
-export async function fetchMasterpieceCards(parentSetCode, allSets) {
+export async function fetchMasterpieceCards(parentSetCode, allSets, cacheOptions = {}) {
   const childMasterpieceSets = allSets.filter(set => 
     set.parent_set_code === parentSetCode && 
     set.set_type === 'masterpiece'
@@ -177,13 +191,12 @@ export async function fetchMasterpieceCards(parentSetCode, allSets) {
   let allMasterpieces = [];
   
   for (const childSet of childMasterpieceSets) {
-    try {
-      const url = `${SCRYFALL_API_BASE}/cards/search?q=set:${childSet.code}+game:paper&unique=cards`;
-      const data = await fetchAllPages(url);
-      allMasterpieces.push(...data);
-    } catch (error) {
-      console.log(`No masterpieces found for ${childSet.code}`);
-    }
+    const data = await queryProvider(
+      `cards:${childSet.code}`,
+      provider => provider.fetchSetCards(childSet.code),
+      cacheOptions
+    );
+    allMasterpieces.push(...data);
   }
   
   console.log(`Masterpiece cards for ${parentSetCode}:`, allMasterpieces.length);
@@ -232,12 +245,21 @@ export function sortCardsByCollectorNumber(cards) {
  * Load all card data for a set (main cards, full-art, masterpieces, spotlights)
  * @param {string} setCode - The set code
  * @param {Array} allSets - Array of all set objects
+ * @param {Object} options - { forceRefresh } bypasses fresh cache entries
  * @returns {Promise<Object>} - Object containing all card arrays
+ * @throws {ApiError} - When any query fails and no cached copy exists
  */
-export async function loadCompleteSetData(setCode, allSets) {
+export async function loadCompleteSetData(setCode, allSets, options = {}) {
   console.log('=== LOADING SET DATA ===');
   console.log('Set code:', setCode);
   
+  const setInfo = allSets.find(set => set.code === setCode);
+  const cacheOptions = {
+    setCode,
+    ttl: getSetCacheTTL(setCode, setInfo?.released),
+    forceRefresh: options.forceRefresh || false
+  };
+  
   // Fetch all card types in parallel for better performance
   const [
     rawCards,
@@ -245,10 +267,10 @@ export async function loadCompleteSetData(setCode, allSets) {
     rawMasterpieces,
     rawSpotlights
   ] = await Promise.all([
-    fetchSetCards(setCode),
-    fetchFullArtCards(setCode),
-    fetchMasterpieceCards(setCode, allSets),
-    fetchStorySpotlightCards(setCode)
+    fetchSetCards(setCode, cacheOptions),
+    fetchFullArtCards(setCode, cacheOptions),
+    fetchMasterpieceCards(setCode, allSets, cacheOptions),
+    fetchStorySpotlightCards(setCode, cacheOptions)
   ]);
   
   // Filter and sort main cards
@@ -0,0 +1,164 @@
+/**
+ * MTG Pocket - Backup Panel
+ *
+ * Export the collection (JSON / CSV / text) and import a file or pasted list
+ * with a preview of what changes before anything is written.
+ */
+
+import { getData, getCurrentSet } from './state.js';
+import {
+  exportJson,
+  exportCsv,
+  exportText,
+  parseImport,
+  mergeCollections,
+  diffCollections,
+  applyImport
+} from './collection-io.js';
+import { createElement } from './utils.js';
+import { showPanelModal, closePanelModal } from './panel-modal.js';
+import { renderCollection, updateStats } from './collection.js';
+
+const PREVIEW_ROWS = 20;
+
+/**
+ * Open the backup panel
+ */
+export function showBackupPanel() {
+  const container = createElement('div', 'backupPanel');
+
+  // Export
+  container.appendChild(createElement('h3', [], 'Export'));
+  const exportRow = createElement('div', 'panelActions');
+  const date = new Date().toISOString().slice(0, 10);
+  exportRow.appendChild(createExportButton('JSON backup', () => exportJson(), `mtg-pocket-${date}.json`, 'application/json'));
+  exportRow.appendChild(createExportButton('CSV', () => exportCsv(), `mtg-pocket-${date}.csv`, 'text/csv'));
+  exportRow.appendChild(createExportButton('Text list', () => exportText(), `mtg-pocket-${date}.txt`, 'text/plain'));
+  container.appendChild(exportRow);
+
+  // Import
+  container.appendChild(createElement('h3', [], 'Import'));
+  container.appendChild(createElement('p', 'panelNote',
+    'Load a JSON backup, CSV, or paste lines like "4 Card Name (SET) 123". Lines without a set use the current set; end a line with *fullart* or *masterpiece* for those printings.'));
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,.csv,.txt,application/json,text/csv,text/plain';
+
+  const textArea = document.createElement('textarea');
+  textArea.className = 'importText';
+  textArea.rows = 6;
+  textArea.placeholder = '…or paste here';
+
+  fileInput.onchange = async () => {
+    const file = fileInput.files[0];
+    if (file) textArea.value = await file.text();
+  };
+
+  const modeSelect = document.createElement('select');
+  modeSelect.innerHTML = `
+    <option value="merge">Merge (keep the higher count)</option>
+    <option value="replace">Replace my collection</option>
+  `;
+
+  const previewBtn = createElement('button', [], 'Preview');
+  const preview = createElement('div', 'importPreview');
+
+  previewBtn.onclick = async () => {
+    if (!textArea.value.trim()) return;
+
+    previewBtn.disabled = true;
+    preview.innerHTML = '';
+    preview.appendChild(createElement('p', 'panelNote', 'Reading import…'));
+
+    try {
+      const parsed = await parseImport(textArea.value, { defaultSet: getCurrentSet() });
+      renderPreview(preview, parsed, modeSelect.value);
+    } catch (error) {
+      console.error('Import failed:', error);
+      preview.innerHTML = '';
+      preview.appendChild(createElement('p', 'loadError', error.message));
+    } finally {
+      previewBtn.disabled = false;
+    }
+  };
+
+  const importRow = createElement('div', 'panelActions');
+  importRow.appendChild(modeSelect);
+  importRow.appendChild(previewBtn);
+
+  container.appendChild(fileInput);
+  container.appendChild(textArea);
+  container.appendChild(importRow);
+  container.appendChild(preview);
+
+  showPanelModal('Backup & Import', container);
+}
+
+function createExportButton(label, build, filename, type) {
+  const button = createElement('button', [], label);
+  button.onclick = () => downloadText(build(), filename, type);
+  return button;
+}
+
+function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Show the diff for a parsed import with a confirm button
+ */
+function renderPreview(preview, parsed, mode) {
+  const current = getData().cards;
+  const next = mergeCollections(current, parsed.cards, mode);
+  const diff = diffCollections(current, next);
+
+  preview.innerHTML = '';
+  preview.appendChild(createElement('p', [],
+    `${parsed.format.toUpperCase()}: ${diff.added.length} new, ${diff.updated.length} changed, ${diff.removed.length} removed`));
+
+  if (parsed.unresolved.length > 0) {
+    preview.appendChild(createElement('p', 'panelNote',
+      `${parsed.unresolved.length} line(s) not matched and skipped: ${parsed.unresolved.slice(0, 5).map(row => row.line).join('; ')}`));
+  }
+
+  const changes = [
+    ...diff.added.map(change => ['+', change]),
+    ...diff.updated.map(change => ['~', change]),
+    ...diff.removed.map(change => ['−', change])
+  ];
+
+  if (changes.length > 0) {
+    const table = createElement('table', 'panelTable');
+    changes.slice(0, PREVIEW_ROWS).forEach(([symbol, change]) => {
+      const row = document.createElement('tr');
+      row.appendChild(createElement('td', [], `${symbol} ${change.name}`));
+      row.appendChild(createElement('td', [], change.setCode.toUpperCase()));
+      row.appendChild(createElement('td', [], `${change.from} → ${change.to}`));
+      table.appendChild(row);
+    });
+    preview.appendChild(table);
+
+    if (changes.length > PREVIEW_ROWS) {
+      preview.appendChild(createElement('p', 'panelNote', `…and ${changes.length - PREVIEW_ROWS} more`));
+    }
+  }
+
+  const applyBtn = createElement('button', [], mode === 'replace' ? 'Replace Collection' : 'Merge Into Collection');
+  applyBtn.disabled = changes.length === 0;
+  applyBtn.onclick = () => {
+    if (mode === 'replace' && !confirm('Replace your whole collection with this import?')) return;
+
+    applyImport(next);
+    renderCollection();
+    updateStats();
+    closePanelModal();
+    alert(`Import applied: ${diff.added.length} new, ${diff.updated.length} changed, ${diff.removed.length} removed.`);
+  };
+  preview.appendChild(applyBtn);
+}
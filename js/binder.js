@@ -0,0 +1,194 @@
+/**
+ * MTG Pocket - Binder View
+ *
+ * Every set in the collection on one scrolling binder: a page per set with
+ * its icon, completion and owned cards. Only the loaded set's full card list
+ * is known, so other sets show the completion saved when they were last
+ * loaded (see milestones.js) and no placeholders. Jumping to a set fires
+ * `binderJumpToSet` (detail: { setCode }); main.js loads it.
+ */
+
+import {
+  getData,
+  getSetCards,
+  getSetMetadata,
+  getSetMilestones,
+  getLoadedSet,
+  getAllCards
+} from './state.js';
+import { getSetCompletion, getCompletionPercent } from './milestones.js';
+import { createElement } from './utils.js';
+import { createCardElement } from './card-renderer.js';
+
+export const BINDER_SORTS = {
+  released: 'Release date',
+  completion: 'Completion'
+};
+
+let sortBy = 'released';
+
+// ===== PAGES =====
+
+/**
+ * One page per set with owned cards
+ * @param {string} [order] - A BINDER_SORTS key
+ * @returns {Array} - { setCode, name, icon, released, completion, cards, copies }
+ *   completion is a percentage, or null until the set has been loaded once
+ */
+export function getBinderPages(order = sortBy) {
+  const pages = Object.keys(getData().cards)
+    .map(createPage)
+    .filter(page => page.cards.length > 0);
+
+  return pages.sort(order === 'completion' ? compareCompletion : compareReleased);
+}
+
+function createPage(setCode) {
+  const ownedCards = getSetCards(setCode);
+  const metadata = getSetMetadata(setCode);
+  const cards = Object.entries(ownedCards)
+    .map(([id, card]) => ({ ...card, id, setCode }))
+    .sort(compareCollectorNumbers);
+
+  return {
+    setCode,
+    name: metadata?.name || setCode.toUpperCase(),
+    icon: metadata?.icon || null,
+    released: metadata?.released || null,
+    completion: getPageCompletion(setCode, ownedCards),
+    cards,
+    copies: cards.reduce((sum, card) => sum + (card.count || 0), 0)
+  };
+}
+
+function getPageCompletion(setCode, ownedCards) {
+  if (setCode === getLoadedSet() && getAllCards().length > 0) {
+    return getCompletionPercent(getSetCompletion(ownedCards, getAllCards()));
+  }
+  return getSetMilestones(setCode).completion;
+}
+
+// Newest first; sets without metadata last
+function compareReleased(a, b) {
+  return (b.released || '').localeCompare(a.released || '') || a.name.localeCompare(b.name);
+}
+
+// Most complete first; unmeasured sets last
+function compareCompletion(a, b) {
+  return (b.completion ?? -1) - (a.completion ?? -1) || compareReleased(a, b);
+}
+
+function compareCollectorNumbers(a, b) {
+  return String(a.collectorNum ?? '').localeCompare(String(b.collectorNum ?? ''), undefined, { numeric: true });
+}
+
+// ===== RENDERING =====
+
+/**
+ * Render the binder into #binder
+ */
+export function renderBinder() {
+  const container = document.getElementById('binder');
+  container.innerHTML = '';
+
+  const pages = getBinderPages();
+  const uniqueCards = pages.reduce((sum, page) => sum + page.cards.length, 0);
+  document.getElementById('binderSummary').textContent =
+    `${pages.length} set${pages.length === 1 ? '' : 's'} · ${uniqueCards} unique cards`;
+
+  if (pages.length === 0) {
+    container.appendChild(createElement('p', 'panelNote', 'No cards yet. Open a pack to start your binder.'));
+    return;
+  }
+
+  pages.forEach(page => container.appendChild(createBinderPage(page)));
+}
+
+function createBinderPage(page) {
+  const section = createElement('section', 'binderPage');
+
+  const header = createElement('div', 'binderHeader');
+  if (page.icon) {
+    const icon = createElement('img', 'binderIcon');
+    icon.src = page.icon;
+    icon.alt = '';
+    header.appendChild(icon);
+  }
+
+  const info = createElement('div', 'binderInfo');
+  info.appendChild(createElement('div', 'binderTitle', page.name));
+  info.appendChild(createElement('div', 'panelNote', [
+    page.completion === null ? 'Completion not measured yet' : `${page.completion}% complete`,
+    `${page.cards.length} unique`,
+    `${page.copies} cards`,
+    page.released ? `released ${page.released}` : ''
+  ].filter(Boolean).join(' · ')));
+
+  const bar = createElement('div', 'progress');
+  const fill = document.createElement('div');
+  fill.style.width = `${page.completion || 0}%`;
+  bar.appendChild(fill);
+  info.appendChild(bar);
+  header.appendChild(info);
+
+  const jumpBtn = createElement('button', 'binderJump', 'Open set →');
+  jumpBtn.onclick = () => {
+    document.dispatchEvent(new CustomEvent('binderJumpToSet', { detail: { setCode: page.setCode } }));
+  };
+  header.appendChild(jumpBtn);
+  section.appendChild(header);
+
+  // Every set is on screen at once, so pages use the lazy low-res images
+  const grid = createElement('div', 'cards');
+  page.cards.forEach(card => grid.appendChild(createCardElement(card, false, [], { thumbnail: true })));
+  section.appendChild(grid);
+
+  return section;
+}
+
+// ===== VIEW MANAGEMENT =====
+
+/**
+ * Initialize the binder's sort selector
+ */
+export function initBinderControls() {
+  const sortSelect = document.getElementById('binderSort');
+
+  if (!sortSelect) {
+    console.warn('Binder controls not found - skipping initialization');
+    return;
+  }
+
+  Object.entries(BINDER_SORTS).forEach(([value, label]) => {
+    const option = createElement('option', [], label);
+    option.value = value;
+    sortSelect.appendChild(option);
+  });
+  sortSelect.value = sortBy;
+
+  sortSelect.onchange = () => {
+    sortBy = sortSelect.value;
+    renderBinder();
+  };
+}
+
+/**
+ * Show the binder view
+ */
+export function showBinderView() {
+  document.getElementById('homeScreen').style.display = 'none';
+  document.getElementById('collectionView').style.display = 'none';
+  document.getElementById('binderView').style.display = 'block';
+  document.querySelector('.setDropdown').style.display = 'none';
+
+  renderBinder();
+}
+
+/**
+ * Re-render the binder if it's on screen
+ */
+export function refreshBinderView() {
+  if (document.getElementById('binderView').style.display === 'block') {
+    renderBinder();
+  }
+}
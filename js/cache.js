@@ -0,0 +1,188 @@
+/**
+ * MTG Pocket - Offline Cache
+ *
+ * Persistent IndexedDB cache in front of the card-data provider queries.
+ * Entries are keyed by provider query, tagged with the set they belong to,
+ * and served stale-while-revalidate so visited sets load instantly and offline.
+ * Falls back to an in-memory store when IndexedDB is unavailable.
+ */
+
+import { CACHE_CONFIG } from './constants.js';
+
+// ===== BACKEND =====
+
+const memoryStore = new Map();
+const pendingRevalidations = new Map();
+let dbPromise = null;
+
+/**
+ * Open (or create) the cache database
+ * @returns {Promise<IDBDatabase|null>} - Database, or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(CACHE_CONFIG.dbName, CACHE_CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_CONFIG.storeName)) {
+          const store = db.createObjectStore(CACHE_CONFIG.storeName, { keyPath: 'key' });
+          store.createIndex('setCode', 'setCode', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Cache database unavailable, using memory cache:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('Cache database unavailable, using memory cache:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the cache object store
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_CONFIG.storeName, mode);
+    const request = operation(tx.objectStore(CACHE_CONFIG.storeName));
+    tx.oncomplete = () => resolve(request?.result ?? null);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function readEntry(key) {
+  try {
+    const db = await openDatabase();
+    if (!db) return memoryStore.get(key) || null;
+    return await withStore('readonly', store => store.get(key));
+  } catch (error) {
+    console.warn('Cache read failed:', key, error);
+    return memoryStore.get(key) || null;
+  }
+}
+
+async function writeEntry(entry) {
+  memoryStore.set(entry.key, entry);
+
+  try {
+    await withStore('readwrite', store => store.put(entry));
+  } catch (error) {
+    console.warn('Cache write failed:', entry.key, error);
+  }
+}
+
+// ===== TTL =====
+
+/**
+ * Get cache lifetime for a set's card data
+ * Recently released sets still receive previews and errata, so they expire sooner.
+ * @param {string} setCode - The set code
+ * @param {string} [releasedAt] - Release date (YYYY-MM-DD)
+ * @returns {number} - TTL in ms
+ */
+export function getSetCacheTTL(setCode, releasedAt) {
+  const override = CACHE_CONFIG.setTTLOverrides[setCode?.toLowerCase()];
+  if (typeof override === 'number') return override;
+
+  if (releasedAt) {
+    const ageDays = (Date.now() - new Date(releasedAt).getTime()) / 86400000;
+    if (ageDays < CACHE_CONFIG.recentSetWindowDays) return CACHE_CONFIG.recentSetTTL;
+  }
+
+  return CACHE_CONFIG.setDataTTL;
+}
+
+function isFresh(entry, ttl) {
+  return Date.now() - entry.fetchedAt < ttl;
+}
+
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Return cached data for a key, fetching it when missing
+ * - Fresh entry: returned as-is
+ * - Stale entry: returned immediately, refreshed in the background
+ * - Network failure: falls back to any cached copy, however old
+ * @param {string} key - Cache key (provider query)
+ * @param {Function} fetcher - Async function producing the data
+ * @param {Object} options - { ttl, setCode, forceRefresh }
+ * @returns {Promise<*>} - Cached or freshly fetched data
+ */
+export async function cachedFetch(key, fetcher, options = {}) {
+  const { ttl = CACHE_CONFIG.setDataTTL, setCode = null, forceRefresh = false } = options;
+  const entry = await readEntry(key);
+
+  if (entry && !forceRefresh) {
+    if (!isFresh(entry, ttl) && !isOffline()) {
+      revalidate(key, fetcher, setCode);
+    }
+    return entry.data;
+  }
+
+  try {
+    return await fetchAndStore(key, fetcher, setCode);
+  } catch (error) {
+    if (entry) {
+      console.warn(`Using cached copy of ${key} after fetch failure:`, error);
+      return entry.data;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Refresh an entry in the background, deduplicating concurrent refreshes
+ */
+function revalidate(key, fetcher, setCode) {
+  if (pendingRevalidations.has(key)) return pendingRevalidations.get(key);
+
+  console.log('Revalidating stale cache entry:', key);
+  const promise = fetchAndStore(key, fetcher, setCode)
+    .catch(error => console.warn('Background revalidation failed:', key, error))
+    .finally(() => pendingRevalidations.delete(key));
+
+  pendingRevalidations.set(key, promise);
+  return promise;
+}
+
+async function fetchAndStore(key, fetcher, setCode) {
+  const data = await fetcher();
+  await writeEntry({ key, setCode, data, fetchedAt: Date.now() });
+  return data;
+}
+
+/**
+ * Drop every cached entry (used by dev tools and tests)
+ */
+export async function clearCache() {
+  memoryStore.clear();
+
+  try {
+    await withStore('readwrite', store => store.clear());
+  } catch (error) {
+    console.warn('Cache clear failed:', error);
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * MTG Pocket - Card Details
+ *
+ * The panel beside the card in the card modal: rules and flavor text, type
+ * line, mana cost as symbols, artist, set and collector number, the copies
+ * and printings of it in the set (owned, or not owned in the loaded set), and
+ * when you first pulled it. Text comes from the metadata saved with the card
+ * (getCardMetadata() in utils.js), or its saved record for cards without it
+ * (pack history), so it's there without loading the set. Cards are looked up
+ * in `card.setCode`, or the current set when the card doesn't say (collection
+ * view, pack reveals).
+ */
+
+import { MANA_SYMBOL_URL, CARD_SUFFIXES } from './constants.js';
+import {
+  getCurrentSet,
+  getLoadedSet,
+  getSetCards,
+  getSetMetadata,
+  getAllCards,
+  getFullArtCards,
+  getStorySpotlightCards,
+  getMasterpieceCards
+} from './state.js';
+import { createElement } from './utils.js';
+import { VARIANTS, getVariant } from './collection-filters.js';
+
+const VARIANT_ORDER = Object.keys(VARIANTS);
+
+// ===== DETAILS =====
+
+/**
+ * Everything the detail panel shows about a card
+ * @param {Object} card - Saved card or reveal card
+ * @param {string} [setCode] - The card's set
+ * @returns {Object} - { setCode, setName, setIcon, collectorNum, variant, manaCost,
+ *   typeLine, oracleText, flavorText, artist, hasMetadata, copies, totalCopies,
+ *   firstPulled, printings: [{ id, variant, collectorNum, count, owned, current, record }] }
+ *   (record is null for printings not owned)
+ */
+export function getCardDetails(card, setCode = card.setCode || getCurrentSet()) {
+  const ownedCards = setCode ? getSetCards(setCode) : {};
+  const record = (card.id && ownedCards[card.id]) || null;
+  const metadata = setCode ? getSetMetadata(setCode) : null;
+  // History cards are saved without the text fields; the record has them
+  const text = card.metadataVersion ? card : (record || card);
+
+  // Every owned printing of the card in this set, this one included
+  const owned = Object.values(ownedCards)
+    .filter(other => other.name === card.name)
+    .map(other => ({
+      id: other.id,
+      variant: getVariant(other),
+      collectorNum: other.collectorNum ?? null,
+      count: other.count || 0,
+      owned: true,
+      current: other.id === card.id,
+      record: other
+    }));
+  const ownedIds = new Set(owned.map(printing => printing.id));
+  const missing = getSetPrintings(setCode, card.name)
+    .filter(printing => !ownedIds.has(printing.id))
+    .map(printing => ({ ...printing, count: 0, owned: false, current: printing.id === card.id, record: null }));
+  const printings = [...owned, ...missing].sort(comparePrintings);
+
+  return {
+    setCode,
+    setName: metadata?.name || setCode?.toUpperCase() || '',
+    setIcon: metadata?.icon || null,
+    collectorNum: card.collectorNum ?? null,
+    variant: getVariant(card),
+    manaCost: text.manaCost || '',
+    typeLine: text.typeLine || '',
+    oracleText: text.oracleText || '',
+    flavorText: text.flavorText || '',
+    artist: text.artist || '',
+    hasMetadata: Boolean(text.metadataVersion),
+    copies: record?.count || 0,
+    totalCopies: owned.reduce((sum, printing) => sum + printing.count, 0),
+    firstPulled: record?.acquiredAt || null,
+    printings
+  };
+}
+
+/**
+ * Printings of a card in the loaded set's pools, with the ids pulls save them under
+ * (other sets' pools aren't loaded, so only owned printings are known there)
+ */
+function getSetPrintings(setCode, name) {
+  if (!setCode || setCode !== getLoadedSet()) return [];
+
+  const pools = [
+    [getAllCards(), 'regular', ''],
+    [getFullArtCards(), 'fullart', CARD_SUFFIXES.fullart],
+    [getStorySpotlightCards(), 'spotlight', ''],
+    [getMasterpieceCards(), 'masterpiece', CARD_SUFFIXES.masterpiece]
+  ];
+  const printings = pools.flatMap(([cards, variant, suffix]) => cards
+    .filter(card => card.name === name)
+    .map(card => ({ id: card.id + suffix, variant, collectorNum: card.collector_number ?? null })));
+
+  // A card can sit in more than one pool under the same id
+  return printings.filter((printing, index) => printings.findIndex(other => other.id === printing.id) === index);
+}
+
+function comparePrintings(a, b) {
+  return VARIANT_ORDER.indexOf(a.variant) - VARIANT_ORDER.indexOf(b.variant)
+    || String(a.collectorNum ?? '').localeCompare(String(b.collectorNum ?? ''), undefined, { numeric: true });
+}
+
+// ===== MANA SYMBOLS =====
+
+/**
+ * Split text into plain text and {symbols}
+ * @param {string} text - Mana cost or rules text, e.g. "{T}: Add {G}."
+ * @returns {Array} - { text } and { symbol } parts in order ({G} gives symbol 'G')
+ */
+export function splitSymbols(text) {
+  return (text || '')
+    .split(/(\{[^}]+\})/)
+    .filter(Boolean)
+    .map(part => (/^\{[^}]+\}$/.test(part) ? { symbol: part.slice(1, -1) } : { text: part }));
+}
+
+/**
+ * Scryfall's image for a symbol (hybrid symbols drop the slash: W/U -> WU)
+ * @param {string} symbol - Symbol without braces
+ * @returns {string} - SVG url
+ */
+export function getSymbolUrl(symbol) {
+  return `${MANA_SYMBOL_URL}${symbol.replace(/\//g, '').toUpperCase()}.svg`;
+}
+
+function appendSymbolText(element, text) {
+  splitSymbols(text).forEach(part => {
+    if (part.text) {
+      element.appendChild(document.createTextNode(part.text));
+      return;
+    }
+    const img = createElement('img', 'manaSymbol');
+    img.src = getSymbolUrl(part.symbol);
+    img.alt = `{${part.symbol}}`;
+    img.title = `{${part.symbol}}`;
+    element.appendChild(img);
+  });
+  return element;
+}
+
+// ===== RENDERING =====
+
+/**
+ * Build the detail panel for the card modal
+ * @param {Object} card - Saved card or reveal card
+ * @param {Object} [options] - { onShowPrinting(record) } opens another printing
+ * @returns {HTMLElement}
+ */
+export function createCardDetailsPanel(card, options = {}) {
+  const details = getCardDetails(card);
+  const panel = createElement('div', 'cardDetails');
+
+  const header = createElement('div', 'cardDetailsHeader');
+  header.appendChild(createElement('div', 'cardDetailsName', card.name));
+  header.appendChild(appendSymbolText(createElement('div', 'cardDetailsCost'), details.manaCost));
+  panel.appendChild(header);
+
+  if (details.typeLine) panel.appendChild(createElement('div', 'cardDetailsType', details.typeLine));
+
+  if (details.oracleText) {
+    const oracle = createElement('div', 'cardDetailsText');
+    details.oracleText.split('\n').forEach(line => oracle.appendChild(appendSymbolText(createElement('p'), line)));
+    panel.appendChild(oracle);
+  }
+
+  if (details.flavorText) panel.appendChild(createElement('div', 'cardDetailsFlavor', details.flavorText));
+  if (details.artist) panel.appendChild(createElement('div', 'panelNote', `Illustrated by ${details.artist}`));
+
+  if (!details.hasMetadata) {
+    panel.appendChild(createElement('div', 'panelNote', 'Card text appears once this set has been loaded.'));
+  }
+
+  panel.appendChild(createSetLine(details));
+  panel.appendChild(createOwnershipLine(details));
+
+  const others = details.printings.filter(printing => !printing.current);
+  if (others.length > 0) {
+    panel.appendChild(createElement('div', 'cardDetailsLabel', 'Other printings in this set'));
+
+    const links = createElement('div', 'cardDetailsPrintings');
+    others.forEach(printing => {
+      const label = [
+        VARIANTS[printing.variant],
+        printing.collectorNum !== null ? `#${printing.collectorNum}` : '',
+        printing.owned ? `×${printing.count}` : '(not owned)'
+      ].filter(Boolean).join(' ');
+
+      const link = createElement('button', 'filterToggle', label);
+      if (!printing.owned) {
+        link.disabled = true;
+        links.appendChild(link);
+        return;
+      }
+      link.onclick = (e) => {
+        e.stopPropagation();
+        options.onShowPrinting?.({ ...printing.record, setCode: details.setCode });
+      };
+      links.appendChild(link);
+    });
+    panel.appendChild(links);
+  }
+
+  return panel;
+}
+
+function createSetLine(details) {
+  const line = createElement('div', 'cardDetailsSet');
+
+  if (details.setIcon) {
+    const icon = createElement('img', 'cardDetailsSetIcon');
+    icon.src = details.setIcon;
+    icon.alt = '';
+    line.appendChild(icon);
+  }
+
+  line.appendChild(createElement('span', [], [
+    details.setName,
+    details.collectorNum !== null ? `#${details.collectorNum}` : '',
+    VARIANTS[details.variant]
+  ].filter(Boolean).join(' · ')));
+  return line;
+}
+
+function createOwnershipLine(details) {
+  if (details.copies === 0) {
+    return createElement('div', 'cardDetailsOwned', 'Not in your collection yet');
+  }
+
+  const printings = details.printings.filter(printing => printing.owned).length;
+  return createElement('div', 'cardDetailsOwned', [
+    `You own ${details.copies} ${details.copies === 1 ? 'copy' : 'copies'}`,
+    printings > 1 ? `${details.totalCopies} across ${printings} printings` : '',
+    details.firstPulled ? `first pulled ${new Date(details.firstPulled).toLocaleDateString()}` : ''
+  ].filter(Boolean).join(' · '));
+}
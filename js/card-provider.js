@@ -0,0 +1,74 @@
+/**
+ * MTG Pocket - Card Data Providers
+ *
+ * Registry for the source of set and card data. Every provider implements:
+ *
+ *   id                            - Unique name, also namespaces cache keys
+ *   cacheable                     - Whether responses go through the offline cache
+ *   curatedSets                   - Whether its set list skips the selector filters
+ *   fetchSets()                   - Promise<Array> of set objects
+ *   fetchSetCards(setCode)        - Promise<Array> of every card in a set
+ *   fetchFullArtCards(setCode)    - Promise<Array> of full-art / extended-art cards
+ *   fetchStorySpotlightCards(setCode) - Promise<Array> of story spotlight cards
+ *
+ * Set and card objects follow Scryfall's schema; other sources map into it.
+ */
+
+import { DATA_PROVIDER } from './constants.js';
+import { ScryfallProvider } from './scryfall-provider.js';
+import { FixtureProvider } from './fixture-provider.js';
+
+const providerFactories = {
+  scryfall: () => new ScryfallProvider(),
+  fixture: () => new FixtureProvider({ baseUrl: DATA_PROVIDER.fixtureBaseUrl })
+};
+
+let activeProvider = null;
+
+/**
+ * Register an additional provider factory
+ * @param {string} id - Provider id (selectable via ?provider=<id>)
+ * @param {Function} factory - Returns a provider instance
+ */
+export function registerProvider(id, factory) {
+  providerFactories[id] = factory;
+}
+
+/**
+ * Replace the active provider
+ * @param {Object|string} provider - Provider instance or registered id
+ */
+export function setProvider(provider) {
+  activeProvider = typeof provider === 'string' ? createProvider(provider) : provider;
+  console.log('Card data provider:', activeProvider.id);
+}
+
+/**
+ * Get the active provider, creating the configured one on first use
+ */
+export function getProvider() {
+  if (!activeProvider) {
+    setProvider(resolveProviderId());
+  }
+  return activeProvider;
+}
+
+function createProvider(id) {
+  const factory = providerFactories[id];
+  if (!factory) {
+    console.warn(`Unknown provider "${id}", using ${DATA_PROVIDER.default}`);
+    return providerFactories[DATA_PROVIDER.default]();
+  }
+  return factory();
+}
+
+/**
+ * Provider id from the page URL (?provider=fixture) or the configured default
+ */
+function resolveProviderId() {
+  if (typeof location !== 'undefined') {
+    const fromUrl = new URLSearchParams(location.search).get('provider');
+    if (fromUrl) return fromUrl;
+  }
+  return DATA_PROVIDER.default;
+}
@@ -6,16 +6,19 @@
  */
 
 import { MTG_CARD_BACK } from './constants.js';
-import { enableTilt, isDoubleFaced } from './utils.js';
+import { enableTilt, isDoubleFaced, getCardThumbnail } from './utils.js';
+import { createCardDetailsPanel } from './card-details.js';
 
 // ===== SHARED CARD STRUCTURE BUILDERS =====
 
 /**
  * Create the inner card structure (front, back, badges)
  * Reusable across all card types
+ * Thumbnails (grids) load the small front image lazily and skip the back,
+ * since grid cards never flip
  */
 function createCardInner(card, options = {}) {
-  const { showCount = true, showFlipIndicator = true } = options;
+  const { showCount = true, showFlipIndicator = true, thumbnail = false } = options;
   
   const innerDiv = document.createElement('div');
   innerDiv.className = 'card-inner';
@@ -24,20 +27,25 @@ function createCardInner(card, options = {}) {
   const frontDiv = document.createElement('div');
   frontDiv.className = 'card-front';
   const frontImg = document.createElement('img');
-  frontImg.src = card.img;
+  frontImg.src = thumbnail ? getCardThumbnail(card) : card.img;
   frontImg.alt = card.name;
+  if (thumbnail) {
+    frontImg.loading = 'lazy';
+    frontImg.decoding = 'async';
+  }
   frontDiv.appendChild(frontImg);
+  innerDiv.appendChild(frontDiv);
   
   // Back face
-  const backDiv = document.createElement('div');
-  backDiv.className = 'card-back';
-  const backImg = document.createElement('img');
-  backImg.src = card.backImg || MTG_CARD_BACK;
-  backImg.alt = 'Card back';
-  backDiv.appendChild(backImg);
-  
-  innerDiv.appendChild(frontDiv);
-  innerDiv.appendChild(backDiv);
+  if (!thumbnail) {
+    const backDiv = document.createElement('div');
+    backDiv.className = 'card-back';
+    const backImg = document.createElement('img');
+    backImg.src = card.backImg || MTG_CARD_BACK;
+    backImg.alt = 'Card back';
+    backDiv.appendChild(backImg);
+    innerDiv.appendChild(backDiv);
+  }
   
   // Count badge
   if (showCount) {
@@ -67,15 +75,21 @@ function applyBadges(cardElement, card) {
 }
 
 /**
- * Apply special effects (god pack, bonus glow, masterpiece)
+ * Apply special effects (god pack, foil sheen, bonus glow, masterpiece)
  */
 function applyEffects(cardElement, options = {}) {
-  const { isGodPack, isBonus, isSecret, isMasterpiece } = options;
+  const { isGodPack, isBonus, isSecret, isMasterpiece, isFoil } = options;
   
   if (isGodPack) {
     cardElement.classList.add('godpack');
   }
   
+  if (isFoil) {
+    const sheen = document.createElement('div');
+    sheen.className = 'foil-sheen';
+    cardElement.appendChild(sheen);
+  }
+  
   if (isMasterpiece || isSecret) {
     cardElement.classList.add('godpack');
     cardElement.style.filter = 'brightness(1.5) drop-shadow(0 0 30px rgba(155,89,182,0.9))';
@@ -103,19 +117,21 @@ function createGlowElement(color = 'rgba(255,107,107,0.4)') {
 /**
  * Create a card DOM element for collection/grid view
  * NO holographic effect - allows natural scrolling
+ * @param {Array} [actions] - Buttons for the detail modal ({ label, onClick })
+ * @param {Object} [options] - { thumbnail } shows the lazy low-res image (the modal keeps the full one)
  */
-export function createCardElement(card, isRevealing = false) {
+export function createCardElement(card, isRevealing = false, actions = [], options = {}) {
   const cardDiv = document.createElement('div');
   cardDiv.className = `card rarity-${card.rarity}`;
   
-  const innerDiv = createCardInner(card);
+  const innerDiv = createCardInner(card, { thumbnail: options.thumbnail });
   cardDiv.appendChild(innerDiv);
   
   // Add interaction only if not revealing
   if (!isRevealing) {
     cardDiv.onclick = (e) => {
       e.stopPropagation();
-      showCardModal(card);
+      showCardModal(card, actions);
     };
   }
   
@@ -124,11 +140,25 @@ export function createCardElement(card, isRevealing = false) {
 
 /**
  * Create a card placeholder for uncollected cards
+ * @param {Object} [options] - { label, onClick } make the placeholder actionable (crafting)
  */
-export function createPlaceholderElement(collectorNumber) {
+export function createPlaceholderElement(collectorNumber, options = {}) {
   const placeholder = document.createElement('div');
   placeholder.className = 'card-placeholder';
   placeholder.textContent = `#${collectorNumber}`;
+  
+  if (options.onClick) {
+    placeholder.classList.add('actionable');
+    placeholder.onclick = options.onClick;
+    
+    if (options.label) {
+      const label = document.createElement('div');
+      label.className = 'placeholder-action';
+      label.textContent = options.label;
+      placeholder.appendChild(label);
+    }
+  }
+  
   return placeholder;
 }
 
@@ -144,10 +174,11 @@ export function decorateCard(cardElement, card, effects = {}) {
 // ===== MODAL SYSTEMS =====
 
 /**
- * Show card in fullscreen modal with holographic effect
+ * Show card in fullscreen modal with holographic effect and its detail panel
  * ONLY place where holographic effect is applied
+ * Other printings linked from the panel open without the extra actions
  */
-export function showCardModal(card) {
+export function showCardModal(card, actions = []) {
   const modal = document.getElementById('cardViewModal');
   modal.style.display = 'flex';
   modal.innerHTML = '';
@@ -181,11 +212,28 @@ export function showCardModal(card) {
   
   container.appendChild(perspectiveDiv);
   container.appendChild(flipBtn);
-  modal.appendChild(container);
+  
+  // Extra actions (e.g. disenchant) close the modal after running
+  actions.forEach(({ label, onClick }) => {
+    const actionBtn = document.createElement('button');
+    actionBtn.textContent = label;
+    actionBtn.onclick = (e) => {
+      e.stopPropagation();
+      modal.style.display = 'none';
+      onClick();
+    };
+    container.appendChild(actionBtn);
+  });
+  
+  const layout = document.createElement('div');
+  layout.className = 'cardModalLayout';
+  layout.appendChild(container);
+  layout.appendChild(createCardDetailsPanel(card, { onShowPrinting: printing => showCardModal(printing) }));
+  modal.appendChild(layout);
   
   // Close on background click
   modal.onclick = (e) => {
-    if (e.target === modal) modal.style.display = 'none';
+    if (e.target === modal || e.target === layout) modal.style.display = 'none';
   };
 }
 
@@ -294,6 +342,21 @@ function setupModalCloseHandlers(modal, singleView, allView, isCompleteCallback)
 function closeModal(modal) {
   modal.style.display = 'none';
   modal.innerHTML = '';
+  
+  packModalWaiters.splice(0).forEach(resolve => resolve());
+}
+
+const packModalWaiters = [];
+
+/**
+ * Wait until the pack modal is closed (resolves at once if it isn't open)
+ * @returns {Promise<void>}
+ */
+export function waitForPackModal() {
+  const modal = document.getElementById('packModal');
+  if (!modal || modal.style.display !== 'flex') return Promise.resolve();
+  
+  return new Promise(resolve => packModalWaiters.push(resolve));
 }
 
 // ===== PACK REVEALER CLASS =====
@@ -353,7 +416,8 @@ class PackRevealer {
       isGodPack: card.isGodPack,
       isBonus: card.isBonus,
       isSecret: card.isSecret,
-      isMasterpiece: card.masterpiece === true
+      isMasterpiece: card.masterpiece === true,
+      isFoil: card.isFoil
     });
     
     this.singleView.appendChild(cardDiv);
@@ -364,7 +428,8 @@ class PackRevealer {
       isGodPack: card.isGodPack,
       isBonus: card.isBonus,
       isSecret: card.isSecret,
-      isMasterpiece: card.masterpiece === true
+      isMasterpiece: card.masterpiece === true,
+      isFoil: card.isFoil
     });
     
     this.allCardsContainer.appendChild(smallCard);
@@ -0,0 +1,183 @@
+/**
+ * MTG Pocket - Collection Filters
+ *
+ * Search, filters and sort for the collection view toolbar, saved per set.
+ * The collection view lists entries { record, card, variant }: the saved card
+ * record (null when missing), the Scryfall card from the loaded set (colors,
+ * mana value and type, also saved on the record) and which printing it is. The toolbar narrows
+ * whatever the active stat box shows.
+ */
+
+import { COLLECTION_FILTERS } from './constants.js';
+import { getCollectionFilterSettings, setCollectionFilterSettings } from './state.js';
+
+export const VARIANTS = {
+  regular: 'Regular',
+  fullart: 'Full-art',
+  spotlight: 'Spotlight',
+  masterpiece: 'Masterpiece'
+};
+
+const RARITY_RANK = { common: 0, uncommon: 1, rare: 2, mythic: 3 };
+const VARIANT_RANK = Object.fromEntries(Object.keys(VARIANTS).map((variant, index) => [variant, index]));
+
+export const COLLECTION_SORTS = {
+  // Each printing keeps its own numbering, so variants stay grouped
+  collector: {
+    label: 'Collector #',
+    compare: (a, b) => VARIANT_RANK[a.variant] - VARIANT_RANK[b.variant]
+      || compareCollectorNumbers(getCollectorNumber(a), getCollectorNumber(b))
+  },
+  name: { label: 'Name', compare: (a, b) => getName(a).localeCompare(getName(b)) },
+  rarity: { label: 'Rarity', compare: (a, b) => (RARITY_RANK[getRarity(a)] ?? -1) - (RARITY_RANK[getRarity(b)] ?? -1) },
+  count: { label: 'Copies', compare: (a, b) => (a.record?.count || 0) - (b.record?.count || 0) },
+  acquired: { label: 'Date acquired', compare: (a, b) => (a.record?.acquiredAt || 0) - (b.record?.acquiredAt || 0) }
+};
+
+// ===== SAVED FILTERS =====
+
+/**
+ * A set's filters, with defaults for anything not saved
+ * @param {string} setCode - The set code
+ * @returns {Object} - Same shape as COLLECTION_FILTERS.defaults
+ */
+export function getCollectionFilters(setCode) {
+  return { ...COLLECTION_FILTERS.defaults, ...getCollectionFilterSettings(setCode) };
+}
+
+/**
+ * Change some of a set's filters
+ * @param {string} setCode - The set code
+ * @param {Object} changes - Filter values to replace
+ * @returns {Object} - The set's filters after the change
+ */
+export function updateCollectionFilters(setCode, changes) {
+  const filters = { ...getCollectionFilters(setCode), ...changes };
+  setCollectionFilterSettings(setCode, filters);
+  return filters;
+}
+
+/**
+ * Clear a set's filters (the sort is kept)
+ * @param {string} setCode - The set code
+ */
+export function resetCollectionFilters(setCode) {
+  const { sort, descending } = getCollectionFilters(setCode);
+  setCollectionFilterSettings(setCode, { ...COLLECTION_FILTERS.defaults, sort, descending });
+}
+
+/**
+ * @param {Object} filters - From getCollectionFilters()
+ * @returns {boolean} - Whether anything is filtered out
+ */
+export function hasActiveFilters(filters) {
+  const defaults = COLLECTION_FILTERS.defaults;
+  return filters.search.trim() !== ''
+    || filters.colors.length > 0
+    || filters.manaValue !== defaults.manaValue
+    || filters.type !== defaults.type
+    || filters.ownership !== defaults.ownership
+    || filters.duplicatesOnly
+    || filters.variants.length > 0;
+}
+
+// ===== FILTERING & SORTING =====
+
+/**
+ * Filter and sort collection entries
+ * @param {Array} entries - { record, card, variant }
+ * @param {Object} filters - From getCollectionFilters()
+ * @returns {Array} - Matching entries in sort order
+ */
+export function applyCollectionFilters(entries, filters) {
+  const sort = COLLECTION_SORTS[filters.sort] || COLLECTION_SORTS.collector;
+  const direction = filters.descending ? -1 : 1;
+
+  return entries
+    .filter(entry => matchesFilters(entry, filters))
+    .map((entry, index) => ({ entry, index }))
+    // Ties keep the view's own order (collector number within each variant)
+    .sort((a, b) => direction * sort.compare(a.entry, b.entry) || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * @param {Object} entry - { record, card, variant }
+ * @param {Object} filters - From getCollectionFilters()
+ * @returns {boolean}
+ */
+export function matchesFilters(entry, filters) {
+  const search = filters.search.trim().toLowerCase();
+  if (search && !getName(entry).toLowerCase().includes(search)) return false;
+
+  if (filters.ownership === 'owned' && !entry.record) return false;
+  if (filters.ownership === 'missing' && entry.record) return false;
+  if (filters.duplicatesOnly && !(entry.record?.count > 1)) return false;
+  if (filters.variants.length > 0 && !filters.variants.includes(entry.variant)) return false;
+
+  if (filters.colors.length > 0) {
+    const colors = getColors(entry);
+    if (!colors) return false;
+    const matches = filters.colors.some(color => (color === 'C' ? colors.length === 0 : colors.includes(color)));
+    if (!matches) return false;
+  }
+
+  if (filters.manaValue !== null) {
+    const manaValue = getManaValue(entry);
+    if (manaValue === null) return false;
+    const wanted = filters.manaValue >= COLLECTION_FILTERS.maxManaValue
+      ? manaValue >= COLLECTION_FILTERS.maxManaValue
+      : manaValue === filters.manaValue;
+    if (!wanted) return false;
+  }
+
+  if (filters.type) {
+    const typeLine = getTypeLine(entry);
+    if (!typeLine || !typeLine.toLowerCase().includes(filters.type.toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Which printing a saved card record is
+ * @param {Object} record - Saved card
+ * @returns {string} - A VARIANTS key
+ */
+export function getVariant(record) {
+  if (record.masterpiece) return 'masterpiece';
+  if (record.fullart) return 'fullart';
+  if (record.spotlight) return 'spotlight';
+  return 'regular';
+}
+
+// Card fields: the Scryfall card when the set is loaded, else what the record saved
+
+function getName(entry) {
+  return entry.record?.name || entry.card?.name || '';
+}
+
+function getRarity(entry) {
+  return entry.record?.rarity || entry.card?.rarity;
+}
+
+function getCollectorNumber(entry) {
+  return entry.record?.collectorNum ?? entry.card?.collector_number ?? '';
+}
+
+function getColors(entry) {
+  return entry.card?.colors || entry.card?.card_faces?.[0]?.colors || entry.record?.colors || null;
+}
+
+function getManaValue(entry) {
+  const manaValue = entry.card?.cmc ?? entry.record?.manaValue;
+  return typeof manaValue === 'number' ? manaValue : null;
+}
+
+function getTypeLine(entry) {
+  return entry.card?.type_line || entry.record?.typeLine || null;
+}
+
+function compareCollectorNumbers(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
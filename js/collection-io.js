@@ -0,0 +1,388 @@
+/**
+ * MTG Pocket - Collection Export / Import
+ *
+ * Formats:
+ * - JSON: versioned backup of state.data.cards (lossless)
+ * - CSV:  set, collector_number, name, rarity, variant, count, card_id
+ * - Text: "4 Card Name (SET) 123" lines, as used by common deck/collection tools,
+ *         with a trailing *fullart* / *masterpiece* marker on those variants
+ *
+ * Import parses any of these into the state.data.cards shape, resolving CSV and
+ * text rows against set data (through the cached card-data provider), then
+ * previews a diff before merging (highest count wins) or replacing.
+ */
+
+import { CARD_SUFFIXES, COLLECTION_EXPORT_VERSION } from './constants.js';
+import { getData, getState, replaceCards } from './state.js';
+import { loadCompleteSetData } from './api.js';
+import { createCardData } from './pack-opening.js';
+
+const JSON_FORMAT_ID = 'mtg-pocket-collection';
+const CSV_COLUMNS = ['set', 'collector_number', 'name', 'rarity', 'variant', 'count', 'card_id'];
+const TEXT_LINE_PATTERN = /^(\d+)x?\s+(.+?)(?:\s+\(([A-Za-z0-9]+)\)(?:\s+([^\s*]+))?)?(?:\s+\*(fullart|masterpiece)\*)?$/i;
+
+// ===== EXPORT =====
+
+/**
+ * Versioned JSON backup of the whole collection
+ * @returns {string}
+ */
+export function exportJson() {
+  return JSON.stringify({
+    format: JSON_FORMAT_ID,
+    version: COLLECTION_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    cards: getData().cards
+  }, null, 2);
+}
+
+/**
+ * CSV, one row per owned card / variant
+ * @returns {string}
+ */
+export function exportCsv() {
+  const rows = listOwnedCards().map(({ setCode, cardId, card }) => [
+    setCode,
+    card.collectorNum ?? '',
+    card.name,
+    card.rarity,
+    getVariant(card),
+    card.count,
+    cardId
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvField).join(',')).join('\n');
+}
+
+/**
+ * Collection-tool text list ("4 Card Name (SET) 123", "1 Card Name (SET) 123 *fullart*")
+ * @returns {string}
+ */
+export function exportText() {
+  return listOwnedCards()
+    .map(({ setCode, card }) => {
+      const variant = getVariant(card);
+      return [
+        card.count,
+        card.name,
+        `(${setCode.toUpperCase()})`,
+        card.collectorNum ?? '',
+        variant === 'regular' ? '' : `*${variant}*`
+      ].filter(part => part !== '').join(' ');
+    })
+    .join('\n');
+}
+
+function listOwnedCards() {
+  const cards = getData().cards;
+
+  return Object.keys(cards).sort().flatMap(setCode =>
+    Object.entries(cards[setCode])
+      .filter(([, card]) => card && card.count > 0)
+      .map(([cardId, card]) => ({ setCode, cardId, card }))
+  );
+}
+
+function getVariant(card) {
+  if (card.masterpiece) return 'masterpiece';
+  if (card.fullart) return 'fullart';
+  return 'regular';
+}
+
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ===== PARSING =====
+
+/**
+ * Detect the format of pasted/loaded text
+ * @param {string} text
+ * @returns {string} - 'json' | 'csv' | 'text'
+ */
+export function detectFormat(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) return 'json';
+  if (/^\s*set\s*,\s*collector_number/i.test(trimmed)) return 'csv';
+  return 'text';
+}
+
+/**
+ * Parse an export into the state.data.cards shape
+ * @param {string} text - File contents
+ * @param {Object} options - { defaultSet } for text lines without a set code
+ * @returns {Promise<Object>} - { format, cards, unresolved }
+ * @throws {Error} - When the text is not a readable export
+ */
+export async function parseImport(text, options = {}) {
+  const format = detectFormat(text);
+
+  if (format === 'json') {
+    return { format, cards: parseJsonBackup(text), unresolved: [] };
+  }
+
+  const rows = format === 'csv' ? parseCsvRows(text) : parseTextRows(text, options.defaultSet);
+  if (rows.length === 0) throw new Error('No cards found in the import.');
+
+  const { cards, unresolved } = await resolveRows(rows);
+  return { format, cards, unresolved };
+}
+
+function parseJsonBackup(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  // Accept our backup format and raw saved data ({ points, cards, ... })
+  if (parsed.format === JSON_FORMAT_ID && parsed.version > COLLECTION_EXPORT_VERSION) {
+    throw new Error(`Backup version ${parsed.version} is newer than this app supports.`);
+  }
+  if (!parsed.cards || typeof parsed.cards !== 'object') {
+    throw new Error('JSON does not contain a collection.');
+  }
+
+  const cards = {};
+  Object.entries(parsed.cards).forEach(([setCode, setCards]) => {
+    if (!setCards || typeof setCards !== 'object') return;
+
+    Object.entries(setCards).forEach(([cardId, card]) => {
+      if (!card?.name || !(card.count > 0)) return;
+      if (!cards[setCode]) cards[setCode] = {};
+      cards[setCode][cardId] = { ...card, id: cardId, count: Math.floor(card.count) };
+    });
+  });
+
+  return cards;
+}
+
+function parseCsvRows(text) {
+  const [header, ...lines] = parseCsv(text);
+  const column = Object.fromEntries(header.map((name, index) => [name.trim().toLowerCase(), index]));
+
+  return lines
+    .filter(fields => fields.some(field => field.trim()))
+    .map(fields => ({
+      setCode: fields[column.set]?.trim().toLowerCase(),
+      collectorNum: fields[column.collector_number]?.trim(),
+      name: fields[column.name]?.trim(),
+      variant: fields[column.variant]?.trim().toLowerCase() || 'regular',
+      count: parseInt(fields[column.count], 10) || 0,
+      cardId: column.card_id !== undefined ? fields[column.card_id]?.trim() : null,
+      line: fields.join(',')
+    }))
+    .filter(row => row.count > 0);
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function parseTextRows(text, defaultSet) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//') && !line.startsWith('#'))
+    .map(line => {
+      const match = line.match(TEXT_LINE_PATTERN);
+      if (!match) return { line, count: 0 };
+
+      const [, count, name, setCode, collectorNum, variant] = match;
+      return {
+        setCode: (setCode || defaultSet || '').toLowerCase() || null,
+        collectorNum: collectorNum || null,
+        name: name.trim(),
+        variant: variant?.toLowerCase() || null, // Unmarked lines try the regular printing first
+        count: parseInt(count, 10),
+        cardId: null,
+        line
+      };
+    });
+}
+
+// ===== RESOLUTION =====
+
+/**
+ * Turn parsed rows into collection records using each set's card data
+ */
+async function resolveRows(rows) {
+  const cards = {};
+  const unresolved = rows.filter(row => !row.setCode || !(row.count > 0));
+  const bySet = groupBy(rows.filter(row => row.setCode && row.count > 0), row => row.setCode);
+
+  for (const [setCode, setRows] of Object.entries(bySet)) {
+    let setData;
+    try {
+      setData = await loadCompleteSetData(setCode, getKnownSets());
+    } catch (error) {
+      console.warn(`Import: could not load set ${setCode}:`, error);
+      unresolved.push(...setRows);
+      continue;
+    }
+
+    setRows.forEach(row => {
+      const match = findCard(row, setData);
+      if (!match) {
+        unresolved.push(row);
+        return;
+      }
+
+      const { card, variant } = match;
+      const cardId = variant === 'regular' ? card.id : card.id + CARD_SUFFIXES[variant];
+      const pools = { spotlight: setData.storySpotlightCards };
+      const flags = variant === 'regular' ? { fullart: false } : { [variant]: true };
+
+      if (!cards[setCode]) cards[setCode] = {};
+      const existing = cards[setCode][cardId];
+      cards[setCode][cardId] = existing
+        ? { ...existing, count: existing.count + row.count }
+        : { ...createCardData(card, pools, flags), id: cardId, count: row.count };
+    });
+  }
+
+  return { cards, unresolved };
+}
+
+function findCard(row, setData) {
+  const lists = {
+    regular: setData.mainCards,
+    fullart: setData.fullArtCards,
+    masterpiece: setData.masterpieceCards
+  };
+  const variants = row.variant && lists[row.variant] ? [row.variant] : ['regular', 'fullart', 'masterpiece'];
+  const baseId = row.cardId?.replace(/_(fullart|masterpiece)$/, '');
+
+  for (const variant of variants) {
+    const list = lists[variant];
+    const card = (baseId && list.find(c => c.id === baseId))
+      || (row.collectorNum && list.find(c => c.collector_number === row.collectorNum))
+      || (!row.collectorNum && row.name && list.find(c => c.name.toLowerCase() === row.name.toLowerCase()));
+    if (card) return { card, variant };
+  }
+
+  return null;
+}
+
+function getKnownSets() {
+  const setData = getState().setData;
+  return Object.keys(setData).map(code => ({ code, ...setData[code] }));
+}
+
+function groupBy(items, keyOf) {
+  return items.reduce((groups, item) => {
+    const key = keyOf(item);
+    (groups[key] = groups[key] || []).push(item);
+    return groups;
+  }, {});
+}
+
+// ===== DIFF & APPLY =====
+
+/**
+ * Compute the collection an import would produce
+ * @param {Object} current - state.data.cards
+ * @param {Object} incoming - Parsed cards
+ * @param {string} mode - 'merge' (highest count wins) | 'replace'
+ * @returns {Object} - Resulting cards
+ */
+export function mergeCollections(current, incoming, mode) {
+  if (mode === 'replace') return structuredClone(incoming);
+
+  const result = structuredClone(current);
+  Object.entries(incoming).forEach(([setCode, setCards]) => {
+    if (!result[setCode]) result[setCode] = {};
+
+    Object.entries(setCards).forEach(([cardId, card]) => {
+      const existing = result[setCode][cardId];
+      if (!existing) {
+        result[setCode][cardId] = { ...card };
+      } else if (card.count > existing.count) {
+        existing.count = card.count;
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Preview what an import changes
+ * @param {Object} current - state.data.cards
+ * @param {Object} next - Result of mergeCollections()
+ * @returns {Object} - { added, updated, removed } lists of { setCode, cardId, name, from, to }
+ */
+export function diffCollections(current, next) {
+  const diff = { added: [], updated: [], removed: [] };
+  const setCodes = new Set([...Object.keys(current), ...Object.keys(next)]);
+
+  setCodes.forEach(setCode => {
+    const before = current[setCode] || {};
+    const after = next[setCode] || {};
+    const cardIds = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    cardIds.forEach(cardId => {
+      const from = before[cardId]?.count || 0;
+      const to = after[cardId]?.count || 0;
+      const name = (after[cardId] || before[cardId]).name;
+      const change = { setCode, cardId, name, from, to };
+
+      if (from === 0 && to > 0) diff.added.push(change);
+      else if (from > 0 && to === 0) diff.removed.push(change);
+      else if (from !== to) diff.updated.push(change);
+    });
+  });
+
+  return diff;
+}
+
+/**
+ * Replace the collection with an import result and persist it
+ * @param {Object} next - Result of mergeCollections()
+ */
+export function applyImport(next) {
+  replaceCards(next);
+  console.log('📥 Collection import applied');
+}
@@ -2,9 +2,11 @@
  * MTG Pocket - Collection Module
  * 
  * Handles collection view rendering, filtering, and statistics.
+ * The grid is windowed (virtual-grid.js): only rows in view are mounted, and
+ * re-rendering only rebuilds cards whose copies changed.
  */
 
-import { FILTER_TYPES } from './constants.js';
+import { FILTER_TYPES, COLLECTION_FILTERS } from './constants.js';
 import {
   getCurrentSet,
   getSetCards,
@@ -13,180 +15,390 @@ import {
   getMasterpieceCards,
   getStorySpotlightCards,
   getActiveRarity,
-  setActiveRarity
+  setActiveRarity,
+  getDust
 } from './state.js';
 import { 
   groupCardsByName, 
   calculateCollectionStats, 
-  calculatePercentage 
+  calculatePercentage,
+  createElement,
+  getBaseCardId
 } from './utils.js';
 import { createCardElement, createPlaceholderElement } from './card-renderer.js';
+import {
+  getCraftCost,
+  getDisenchantValue,
+  getSpareCopies,
+  getDuplicatesValue,
+  disenchantCard,
+  disenchantAllDuplicates,
+  craftCard,
+  getUndoableTransaction,
+  undoLastTransaction
+} from './crafting.js';
+import {
+  VARIANTS,
+  COLLECTION_SORTS,
+  getCollectionFilters,
+  updateCollectionFilters,
+  resetCollectionFilters,
+  hasActiveFilters,
+  applyCollectionFilters,
+  getVariant
+} from './collection-filters.js';
+import { VirtualGrid } from './virtual-grid.js';
+
+let collectionGrid = null;
 
 // ===== COLLECTION RENDERING =====
 
 /**
- * Render the collection view based on active filter
+ * Render the collection view: the active stat box's cards, narrowed and
+ * sorted by the set's toolbar filters
  */
 export function renderCollection() {
-  const collectionContainer = document.getElementById('collection');
-  collectionContainer.innerHTML = '';
+  const grid = getCollectionGrid();
   
   const currentSet = getCurrentSet();
   if (!currentSet) {
     console.warn('No current set selected');
+    grid.setItems([]);
     return;
   }
   
   const allCards = getAllCards();
   if (allCards.length === 0) {
     console.warn('No cards loaded for current set');
+    grid.setItems([]);
     return;
   }
   
   const ownedCards = getSetCards(currentSet);
-  const ownedByName = groupCardsByName(ownedCards);
   const activeRarity = getActiveRarity();
+  const filters = getCollectionFilters(currentSet);
   
   console.log('Rendering collection for filter:', activeRarity);
   
+  const entries = applyCollectionFilters(getViewEntries(activeRarity, ownedCards), filters);
+  grid.setItems(entries);
+  
+  updateCollectionToolbar(filters, entries.length);
+}
+
+function getCollectionGrid() {
+  if (!collectionGrid) {
+    collectionGrid = new VirtualGrid(document.getElementById('collection'), {
+      renderItem: entry => (entry.record
+        ? createOwnedCardElement(entry.record)
+        : createMissingCardElement(entry.card)),
+      getKey: getEntryKey,
+      getSignature: getEntrySignature
+    });
+  }
+  return collectionGrid;
+}
+
+/**
+ * Grid key of an entry: the printing shown in a slot
+ * @param {Object} entry - { record, card, variant }
+ * @returns {string}
+ */
+export function getEntryKey(entry) {
+  return `${entry.variant}:${entry.card?.id || entry.record.id}`;
+}
+
+/**
+ * What an entry's element shows; the grid rebuilds it when this changes
+ * @param {Object} entry - { record, card, variant }
+ * @returns {string}
+ */
+export function getEntrySignature(entry) {
+  if (!entry.record) return 'missing';
+  // Backfilled details replace the record, so its version counts too
+  return `${entry.record.id}:${entry.record.count}:${entry.record.metadataVersion || 0}`;
+}
+
+/**
+ * Entries ({ record, card, variant }) shown for a stat box before filtering
+ */
+function getViewEntries(activeRarity, ownedCards) {
+  const ownedByName = groupCardsByName(ownedCards);
+  const sources = getSourceCards();
+  
   if (activeRarity === FILTER_TYPES.SECRETS) {
-    renderSecretsCollection(collectionContainer, ownedCards);
+    return getOwnedEntries(ownedCards, sources, c => c.masterpiece === true);
   } else if (activeRarity === FILTER_TYPES.SPOTLIGHT) {
-    renderSpotlightCollection(collectionContainer, ownedByName);
+    return getSpotlightEntries(ownedByName);
   } else if (activeRarity === FILTER_TYPES.FULLART) {
-    renderFullArtCollection(collectionContainer, ownedCards);
+    return getOwnedEntries(ownedCards, sources, c => c.fullart === true);
   } else if (activeRarity === FILTER_TYPES.ALL) {
-    renderAllCollection(collectionContainer, ownedByName, ownedCards);
-  } else {
-    renderRarityCollection(collectionContainer, ownedByName, activeRarity);
+    // Main set with placeholders, then owned variants
+    return [
+      ...getRegularEntries(getAllCards(), ownedByName),
+      ...getOwnedEntries(ownedCards, sources, c => c.fullart === true),
+      ...getOwnedEntries(ownedCards, sources, c => c.spotlight === true),
+      ...getOwnedEntries(ownedCards, sources, c => c.masterpiece === true)
+    ];
   }
+  return getRegularEntries(getAllCards().filter(card => card.rarity === activeRarity), ownedByName);
 }
 
 /**
- * Render secrets (masterpiece) collection
+ * Main set cards, owned or missing
  */
-function renderSecretsCollection(container, ownedCards) {
-  const masterpieceList = Object.values(ownedCards)
-    .filter(c => c.masterpiece === true)
-    .sort((a, b) => {
-      const numA = parseInt(a.collectorNum) || 0;
-      const numB = parseInt(b.collectorNum) || 0;
-      return numA - numB;
-    });
-  
-  masterpieceList.forEach(card => {
-    container.appendChild(createCardElement(card));
+function getRegularEntries(cards, ownedByName) {
+  return cards.map(card => {
+    const variants = ownedByName[card.name] || [];
+    return { record: variants.find(v => v.fullart === false) || null, card, variant: 'regular' };
   });
 }
 
 /**
- * Render story spotlight collection
+ * Story spotlight cards, owned or missing
  */
-function renderSpotlightCollection(container, ownedByName) {
-  const storySpotlightCards = getStorySpotlightCards();
-  
-  storySpotlightCards.forEach(card => {
+function getSpotlightEntries(ownedByName) {
+  return getStorySpotlightCards().map(card => {
     const variants = ownedByName[card.name] || [];
-    const ownedSpotlight = variants.find(v => v.spotlight === true);
-    
-    if (ownedSpotlight) {
-      container.appendChild(createCardElement(ownedSpotlight));
-    } else {
-      container.appendChild(createPlaceholderElement(card.collector_number));
-    }
+    return { record: variants.find(v => v.spotlight === true) || null, card, variant: 'spotlight' };
   });
 }
 
 /**
- * Render full-art collection
+ * Owned cards matching a flag (variants without placeholders)
  */
-function renderFullArtCollection(container, ownedCards) {
-  const fullArtList = Object.values(ownedCards)
-    .filter(c => c.fullart === true)
-    .sort((a, b) => {
-      const numA = parseInt(a.collectorNum) || 0;
-      const numB = parseInt(b.collectorNum) || 0;
-      return numA - numB;
-    });
+function getOwnedEntries(ownedCards, sources, predicate) {
+  return Object.values(ownedCards)
+    .filter(predicate)
+    .map(record => ({
+      record,
+      card: sources.get(getBaseCardId(record.id || '')) || null,
+      variant: getVariant(record)
+    }));
+}
+
+/**
+ * Loaded Scryfall cards by id (variant records point at these)
+ */
+function getSourceCards() {
+  const sources = new Map();
+  [getAllCards(), getFullArtCards(), getStorySpotlightCards(), getMasterpieceCards()]
+    .forEach(cards => cards.forEach(card => {
+      if (!sources.has(card.id)) sources.set(card.id, card);
+    }));
+  return sources;
+}
+
+// ===== CARD ELEMENTS =====
+
+/**
+ * Owned card; its detail modal offers to disenchant spare copies
+ */
+function createOwnedCardElement(card) {
+  const spare = getSpareCopies(card);
+  const actions = spare > 0 && card.id ? [{
+    label: `✨ Disenchant ${spare} extra (+${spare * getDisenchantValue(card)} dust)`,
+    onClick: () => {
+      disenchantCard(getCurrentSet(), card.id);
+      refreshCollection();
+    }
+  }] : [];
   
-  fullArtList.forEach(card => {
-    container.appendChild(createCardElement(card));
-  });
+  return createCardElement(card, false, actions, { thumbnail: true });
 }
 
 /**
- * Render all cards (main set + variants)
+ * Missing card placeholder; tap to craft it with dust
  */
-function renderAllCollection(container, ownedByName, ownedCards) {
-  const allCards = getAllCards();
+function createMissingCardElement(card) {
+  const cost = getCraftCost(card);
+  if (cost === null) return createPlaceholderElement(card.collector_number);
   
-  // Regular cards with placeholders
-  allCards.forEach(card => {
-    const variants = ownedByName[card.name] || [];
-    const regularCard = variants.find(v => v.fullart === false);
-    
-    if (regularCard) {
-      container.appendChild(createCardElement(regularCard));
-    } else {
-      container.appendChild(createPlaceholderElement(card.collector_number));
+  return createPlaceholderElement(card.collector_number, {
+    label: `🔨 ${cost}`,
+    onClick: () => {
+      if (getDust() < cost) {
+        alert(`Crafting ${card.name} needs ${cost} dust (you have ${getDust()}).`);
+        return;
+      }
+      if (!confirm(`Craft ${card.name} for ${cost} dust?`)) return;
+      
+      const result = craftCard(getCurrentSet(), card);
+      if (result.error) alert(result.error);
+      refreshCollection();
     }
   });
+}
+
+function refreshCollection() {
+  renderCollection();
+  updateStats();
+}
+
+// ===== TOOLBAR =====
+
+const COLOR_LABELS = { W: 'White', U: 'Blue', B: 'Black', R: 'Red', G: 'Green', C: 'Colorless' };
+let searchTimer = null;
+
+/**
+ * Initialize the collection toolbar (search, filters and sort of the current set)
+ */
+export function initCollectionToolbar() {
+  const toolbar = document.getElementById('collectionToolbar');
   
-  // Full-art cards
-  const fullArtList = Object.values(ownedCards)
-    .filter(c => c.fullart === true)
-    .sort((a, b) => {
-      const numA = parseInt(a.collectorNum) || 0;
-      const numB = parseInt(b.collectorNum) || 0;
-      return numA - numB;
-    });
-  fullArtList.forEach(card => {
-    container.appendChild(createCardElement(card));
+  if (!toolbar) {
+    console.warn('Collection toolbar not found - skipping initialization');
+    return;
+  }
+  
+  COLLECTION_FILTERS.colors.forEach(color => {
+    const btn = createToggle(color, COLOR_LABELS[color]);
+    btn.onclick = () => changeFilters(filters => ({ colors: toggleValue(filters.colors, color) }));
+    document.getElementById('colorFilters').appendChild(btn);
   });
   
-  // Story spotlight cards
-  const spotlightList = Object.values(ownedCards)
-    .filter(c => c.spotlight === true)
-    .sort((a, b) => {
-      const numA = parseInt(a.collectorNum) || 0;
-      const numB = parseInt(b.collectorNum) || 0;
-      return numA - numB;
-    });
-  spotlightList.forEach(card => {
-    container.appendChild(createCardElement(card));
+  Object.entries(VARIANTS).forEach(([variant, label]) => {
+    const btn = createToggle(variant, label, label);
+    btn.onclick = () => changeFilters(filters => ({ variants: toggleValue(filters.variants, variant) }));
+    document.getElementById('variantFilters').appendChild(btn);
   });
   
-  // Masterpiece cards
-  const masterpieceList = Object.values(ownedCards)
-    .filter(c => c.masterpiece === true)
-    .sort((a, b) => {
-      const numA = parseInt(a.collectorNum) || 0;
-      const numB = parseInt(b.collectorNum) || 0;
-      return numA - numB;
-    });
-  masterpieceList.forEach(card => {
-    container.appendChild(createCardElement(card));
+  const { maxManaValue, cardTypes, searchDelay } = COLLECTION_FILTERS;
+  fillSelect('manaValueFilter', [
+    ['', 'Any mana value'],
+    ...Array.from({ length: maxManaValue + 1 }, (_, value) => [String(value), value === maxManaValue ? `${value}+` : String(value)])
+  ]);
+  fillSelect('typeFilter', [['', 'Any type'], ...cardTypes.map(type => [type, type])]);
+  fillSelect('collectionSort', Object.entries(COLLECTION_SORTS).map(([key, sort]) => [key, `Sort: ${sort.label}`]));
+  
+  document.getElementById('collectionSearch').oninput = (event) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => changeFilters(() => ({ search: event.target.value })), searchDelay);
+  };
+  document.getElementById('manaValueFilter').onchange = (event) => {
+    changeFilters(() => ({ manaValue: event.target.value === '' ? null : Number(event.target.value) }));
+  };
+  document.getElementById('typeFilter').onchange = (event) => changeFilters(() => ({ type: event.target.value }));
+  document.getElementById('ownershipFilter').onchange = (event) => changeFilters(() => ({ ownership: event.target.value }));
+  document.getElementById('duplicatesOnly').onchange = (event) => changeFilters(() => ({ duplicatesOnly: event.target.checked }));
+  document.getElementById('collectionSort').onchange = (event) => changeFilters(() => ({ sort: event.target.value }));
+  document.getElementById('sortDirection').onclick = () => changeFilters(filters => ({ descending: !filters.descending }));
+  
+  document.getElementById('clearFilters').onclick = () => {
+    const currentSet = getCurrentSet();
+    if (!currentSet) return;
+    
+    resetCollectionFilters(currentSet);
+    document.getElementById('collectionSearch').value = '';
+    renderCollection();
+  };
+}
+
+/**
+ * Save a change to the current set's filters and re-render
+ * @param {Function} getChanges - (filters) => changed values
+ */
+function changeFilters(getChanges) {
+  const currentSet = getCurrentSet();
+  if (!currentSet) return;
+  
+  updateCollectionFilters(currentSet, getChanges(getCollectionFilters(currentSet)));
+  renderCollection();
+}
+
+/**
+ * Show the current set's filters in the toolbar
+ */
+function updateCollectionToolbar(filters, shownCount) {
+  const search = document.getElementById('collectionSearch');
+  if (!search) return;
+  
+  // Don't overwrite what's being typed
+  if (document.activeElement !== search) search.value = filters.search;
+  
+  document.querySelectorAll('#colorFilters .filterToggle').forEach(btn => {
+    btn.classList.toggle('active', filters.colors.includes(btn.dataset.value));
   });
+  document.querySelectorAll('#variantFilters .filterToggle').forEach(btn => {
+    btn.classList.toggle('active', filters.variants.includes(btn.dataset.value));
+  });
+  
+  document.getElementById('manaValueFilter').value = filters.manaValue === null ? '' : String(filters.manaValue);
+  document.getElementById('typeFilter').value = filters.type;
+  document.getElementById('ownershipFilter').value = filters.ownership;
+  document.getElementById('duplicatesOnly').checked = filters.duplicatesOnly;
+  document.getElementById('collectionSort').value = filters.sort;
+  document.getElementById('sortDirection').textContent = filters.descending ? '↓' : '↑';
+  document.getElementById('clearFilters').disabled = !hasActiveFilters(filters);
+  document.getElementById('filterCount').textContent = `${shownCount} shown`;
 }
 
+function createToggle(value, title, label = value) {
+  const btn = createElement('button', 'filterToggle', label);
+  btn.dataset.value = value;
+  btn.title = title;
+  return btn;
+}
+
+function fillSelect(id, options) {
+  const select = document.getElementById(id);
+  options.forEach(([value, label]) => {
+    const option = createElement('option', [], label);
+    option.value = value;
+    select.appendChild(option);
+  });
+}
+
+function toggleValue(values, value) {
+  return values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+}
+
+// ===== CRAFTING CONTROLS =====
+
 /**
- * Render specific rarity collection
+ * Initialize dust / disenchant / undo controls in the collection view
  */
-function renderRarityCollection(container, ownedByName, rarity) {
-  const allCards = getAllCards();
+export function initCraftingControls() {
+  const disenchantBtn = document.getElementById('disenchantDuplicates');
+  const undoBtn = document.getElementById('undoCrafting');
+  
+  if (!disenchantBtn || !undoBtn) {
+    console.warn('Crafting controls not found - skipping initialization');
+    return;
+  }
   
-  allCards.forEach(card => {
-    if (card.rarity !== rarity) return;
+  disenchantBtn.onclick = () => {
+    const currentSet = getCurrentSet();
+    const value = getDuplicatesValue(currentSet);
     
-    const variants = ownedByName[card.name] || [];
-    const regularCard = variants.find(v => v.fullart === false);
+    if (value === 0) {
+      alert('No duplicates to disenchant in this set.');
+      return;
+    }
+    if (!confirm(`Disenchant all duplicates in this set for ${value} dust? (One copy of each card is kept.)`)) return;
     
-    if (regularCard) {
-      container.appendChild(createCardElement(regularCard));
-    } else {
-      container.appendChild(createPlaceholderElement(card.collector_number));
+    disenchantAllDuplicates(currentSet);
+    refreshCollection();
+  };
+  
+  undoBtn.onclick = () => {
+    if (!undoLastTransaction()) {
+      alert('Nothing to undo (or the dust has already been spent).');
     }
-  });
+    refreshCollection();
+  };
+}
+
+function updateCraftingControls() {
+  const balance = document.getElementById('dustBalance');
+  const undoBtn = document.getElementById('undoCrafting');
+  if (!balance || !undoBtn) return;
+  
+  balance.textContent = getDust();
+  
+  const undoable = getUndoableTransaction();
+  undoBtn.disabled = !undoable;
+  undoBtn.title = undoable ? `Undo ${undoable.type} (${undoable.dust > 0 ? '+' : ''}${undoable.dust} dust)` : '';
 }
 
 // ===== STATISTICS =====
@@ -203,6 +415,8 @@ export function updateStats() {
     return;
   }
   
+  updateCraftingControls();
+  
   const ownedCards = getSetCards(currentSet);
   const allCards = getAllCards();
   const fullArtCards = getFullArtCards();
@@ -324,6 +538,7 @@ export function updateStats() {
  */
 export function showCollectionView() {
   document.getElementById('homeScreen').style.display = 'none';
+  document.getElementById('binderView').style.display = 'none';
   document.getElementById('collectionView').style.display = 'block';
   document.querySelector('.setDropdown').style.display = 'none';
   
@@ -331,11 +546,23 @@ export function showCollectionView() {
   updateStats();
 }
 
+/**
+ * Re-render the collection if it's on screen, and the stats
+ * (used when state changes outside this tab's own actions)
+ */
+export function refreshCollectionView() {
+  if (document.getElementById('collectionView').style.display === 'block') {
+    renderCollection();
+  }
+  updateStats();
+}
+
 /**
  * Show the home screen
  */
 export function showHomeScreen() {
   document.getElementById('homeScreen').style.display = 'flex';
   document.getElementById('collectionView').style.display = 'none';
+  document.getElementById('binderView').style.display = 'none';
   document.querySelector('.setDropdown').style.display = 'block';
 }
@@ -5,35 +5,159 @@
  */
 
 // ===== GAME MECHANICS =====
-export const PACK_COST = 6;                    // Points required to open a pack
-export const INTERVAL = 3600000;               // Time between point generation (1 hour in ms)
+export const PACK_COST = 6;                    // Default points required to open a pack (see ECONOMY_CONFIG)
+export const INTERVAL = 3600000;               // Default time between points (1 hour in ms)
 export const FULLART_BONUS_CHANCE = 0.10;      // 10% chance for 6th full-art card
 export const GODPACK_CHANCE = 0.015;           // 1.5% chance for god pack (all full-art)
 export const MASTERPIECE_CHANCE = 0.25;        // 25% chance for 7th masterpiece card (if 6th exists)
+export const PACK_HISTORY_LIMIT = 100;         // Opened packs kept in the history log
+
+// ===== POINT ECONOMY =====
+// Defaults; the player's overrides live in state.data.settings.economy (see economy.js)
+export const ECONOMY_CONFIG = {
+  regenInterval: INTERVAL,       // Time per point (ms)
+  maxBankedPoints: 24,           // Timer stops adding points at this balance (hours beyond it are lost)
+  packCost: {
+    default: PACK_COST,
+    bySetType: { masters: 8 },   // Scryfall set_type
+    bySetCode: {}                // Example: 'blb': 5
+  },
+  dailyBonus: 2,                 // Points for the first visit of each day
+  streakRewards: [               // Extra points every `days` consecutive days
+    { days: 3, points: 2 },
+    { days: 7, points: 6 }
+  ]
+};
+
+// ===== POINT TIMER =====
+export const POINT_TIMER_CONFIG = {
+  clockSkewTolerance: 60000,     // Wall clock vs. monotonic drift (ms) treated as a clock change
+  eventLimit: 50,                // Accrual / clock events kept in state.data.timer.events
+  warningDuration: 3600000,      // How long the countdown shows a detected clock change (ms)
+  plausibleOfflineGap: 259200000 // Longer time away (3 days) is flagged as a possible clock change (ms)
+};
+
+// ===== MISSIONS =====
+// Each day draws `dailyCount` missions from `daily` (see missions.js)
+export const MISSIONS_CONFIG = {
+  dailyCount: 3,
+  daily: {
+    openPacks: { goal: 3, reward: 2 },
+    pullMythic: { goal: 1, reward: 3 },
+    pullMythicFromSet: { goal: 1, reward: 4 },
+    pullFullArt: { goal: 1, reward: 3 },
+    newCards: { goal: 8, reward: 2 },
+    browseSets: { goal: 3, reward: 1 }
+  }
+};
+
+// ===== SET COMPLETION MILESTONES =====
+// Claimed once per set as each rarity (and the set overall) passes a threshold
+export const MILESTONE_CONFIG = {
+  thresholds: [25, 50, 75, 100],            // Percent of unique cards owned
+  rewards: {
+    rarity: {
+      25: { points: 1 },
+      50: { points: 2 },
+      75: { points: 3 },
+      100: { points: 5 }
+    },
+    overall: {
+      25: { points: 3 },
+      50: { points: 6, sealedPacks: 1 },    // Sealed packs of the set go to the inventory
+      75: { points: 10, sealedPacks: 1 },
+      100: { points: 15, fullArtTokens: 1 }  // Token: open a pack with a guaranteed full-art
+    }
+  },
+  badges: { 25: '🥉', 50: '🥈', 75: '🥇', 100: '👑' }
+};
+
+// ===== DUPLICATE PROTECTION =====
+// Players switch it on per set; bySetCode overrides the defaults
+export const DUPLICATE_PROTECTION = {
+  default: {
+    enabled: false,
+    unownedWeight: 4,          // Unowned cards are 4x likelier within a rolled rarity
+    newCardGuaranteeAt: 0.75   // From 75% completion every pack has at least one new card
+  },
+  bySetCode: {
+    // Example: 'blb': { unownedWeight: 6, newCardGuaranteeAt: 0.5 }
+  }
+};
+
+// ===== CRAFTING =====
+// Duplicates disenchant into dust; dust crafts missing cards
+export const CRAFTING_CONFIG = {
+  keepCopies: 1,                 // "Disenchant duplicates" never goes below this
+  disenchantValue: { common: 5, uncommon: 20, rare: 100, mythic: 400 },
+  variantMultiplier: { fullart: 4, masterpiece: 10 },
+  craftCost: { common: 40, uncommon: 100, rare: 400, mythic: 1600 }
+};
+export const CRAFTING_LOG_LIMIT = 200;          // Persisted crafting transactions
+
+// ===== BAD-LUCK PROTECTION =====
+// Counted in packs since the last hit, per set. After softStart dry packs each
+// further pack adds `boost`; the pack that reaches hardCap is guaranteed.
+export const PITY_CONFIG = {
+  mythic: { softStart: 15, boost: 0.02, hardCap: 30 },    // boost: extra mythic share per card
+  fullArt: { softStart: 15, boost: 0.05, hardCap: 30 },   // boost: extra full-art bonus chance
+  godPack: { softStart: 60, boost: 0.005, hardCap: 120 }  // boost: extra god pack chance
+};
 
 // ===== CARD ASSETS =====
 export const MTG_CARD_BACK = 'https://files.mtg.wiki/Magic_card_back.jpg';
+// Mana and tap symbols in the card detail panel ({W/U} -> WU.svg)
+export const MANA_SYMBOL_URL = 'https://svgs.scryfall.io/card-symbols/';
 
 // ===== RARITY DISTRIBUTION =====
-// Used for pack generation - percentage chances for each rarity
+// Relative weights for each rarity roll; thresholds are derived in odds.js
 export const RARITY_WEIGHTS = {
-  common: 60,      // 60% chance (0-59.99)
-  uncommon: 30,    // 30% chance (60-89.99)
-  rare: 9,         // 9% chance (90-98.99)
-  mythic: 1        // 1% chance (99-99.99)
+  common: 70,      // 70% chance
+  uncommon: 20,    // 20% chance
+  rare: 7,         // 7% chance
+  mythic: 3        // 3% chance
 };
 
-// Cumulative thresholds for rarity roll
-export const RARITY_THRESHOLDS = {
-  mythic: 3,       // 0-2.99%
-  rare: 10,        // 3-9.99%
-  uncommon: 30     // 10-29.99%
-  // common: everything else (30-100%)
+// Per-set odds overrides (any of rarityWeights, fullArtChance, godPackChance, masterpieceChance)
+export const ODDS_OVERRIDES = {
+  // Example: 'mh3': { rarityWeights: { mythic: 5 }, godPackChance: 0.02 }
 };
 
 // ===== API CONFIGURATION =====
 export const SCRYFALL_API_BASE = 'https://api.scryfall.com';
-export const SCRYFALL_RATE_LIMIT_DELAY = 100; // Delay between paginated requests (ms)
+export const SCRYFALL_RATE_LIMIT_DELAY = 100; // Minimum spacing between requests (ms)
+
+// ===== REQUEST QUEUE =====
+export const REQUEST_CONFIG = {
+  minInterval: SCRYFALL_RATE_LIMIT_DELAY, // Applies across all queued requests
+  maxRetries: 4,                 // Retries for 429 / 5xx / network failures
+  baseBackoff: 500,              // First retry delay (ms), doubled per attempt
+  maxBackoff: 10000,             // Upper bound for the doubled backoff (ms)
+  maxRetryWait: 120000,          // Most time one request waits on retries (ms); past it the request fails
+  waitNotice: 2000               // Retry waits at least this long (ms) are shown to the player
+};
+
+// ===== CARD DATA PROVIDER =====
+// Select another provider at runtime with ?provider=<id> (e.g. ?provider=fixture)
+export const DATA_PROVIDER = {
+  default: 'scryfall',
+  fixtureBaseUrl: './fixtures'   // Local set/card JSON for offline development and tests
+};
+
+// ===== OFFLINE CACHE =====
+export const CACHE_CONFIG = {
+  dbName: 'mtgPocketCache',
+  dbVersion: 1,
+  storeName: 'responses',
+  setListTTL: 86400000,          // Set list refreshes daily (24 hours)
+  setDataTTL: 604800000,         // Card data for older sets (7 days)
+  recentSetTTL: 86400000,        // Card data for recently released sets (24 hours)
+  recentSetWindowDays: 60,       // Sets released within this window count as recent
+  setTTLOverrides: {
+    // Per-set TTL in ms, keyed by lowercase set code
+    // Example: 'blb': 3600000
+  }
+};
 
 // ===== SET FILTERS =====
 // Sets to exclude from the set selector dropdown
@@ -69,9 +193,36 @@ export const CARD_FLIP_DURATION = 600;         // Card flip transition duration
 
 // ===== UI CONFIGURATION =====
 export const COUNTDOWN_UPDATE_INTERVAL = 1000; // Update countdown timer every 1 second
+export const TOAST_DURATION = 4000;            // How long a toast stays up (ms)
+export const SEALED_STACK_LAYERS = 5;          // Packs drawn in the sealed stack (larger stacks show the count)
 
 // ===== STORAGE KEYS =====
 export const STORAGE_KEY = 'mtgPocket';
+export const STORAGE_BACKUP_KEY = 'mtgPocket.backup';    // Copy of the save taken before migrating it
+export const STORAGE_CORRUPT_KEY = 'mtgPocket.corrupt';  // Unreadable save, kept for recovery
+export const SCHEMA_VERSION = 9;               // Latest saved-data schema (see migrations.js)
+
+// Profiles (see profiles.js); the default profile uses the keys above unsuffixed
+export const PROFILES_KEY = 'mtgPocket.profiles';
+export const DEFAULT_PROFILE_ID = 'default';
+export const DEFAULT_PROFILE_NAME = 'Player 1';
+export const PROFILE_NAME_MAX_LENGTH = 24;
+
+// Cross-tab sync (see tab-sync.js)
+export const TAB_SYNC_CONFIG = {
+  channelName: 'mtgPocket.sync',   // BroadcastChannel name / localStorage fallback key
+  timerLock: 'mtgPocket.timer',    // Web Lock held by the tab that runs the point timer
+  refreshDelay: 100                // Coalesce UI refreshes after changes from other tabs (ms)
+};
+
+// Saved data database (see storage.js); localStorage is the fallback
+export const STORAGE_DB_CONFIG = {
+  dbName: 'mtgPocketData',
+  dbVersion: 1,
+  metaStore: 'meta',             // Everything except cards, one record
+  setStore: 'sets'               // One record per set: { setCode, cards }
+};
+export const COLLECTION_EXPORT_VERSION = 1;    // Bump when the JSON backup shape changes
 
 // ===== ENHANCED HOLOGRAPHIC GLARE SETTINGS =====
 export const GLARE_CONFIG = {
@@ -144,6 +295,36 @@ export const CARD_SUFFIXES = {
   masterpiece: '_masterpiece'
 };
 
+// ===== CARD METADATA =====
+// Saved cards with an older metadataVersion are refilled from Scryfall when their set loads
+export const CARD_METADATA_VERSION = 1;
+
+// ===== COLLECTION TOOLBAR =====
+// Search / filters / sort, saved per set in state.data.settings.collectionFilters (see collection-filters.js)
+export const COLLECTION_FILTERS = {
+  defaults: {
+    search: '',                // Card name contains
+    colors: [],                // Any of W U B R G, C = colorless
+    manaValue: null,           // 0-7, the last meaning "7 or more"
+    type: '',                  // Word in the type line
+    ownership: 'all',          // all / owned / missing
+    duplicatesOnly: false,
+    variants: [],              // regular / fullart / spotlight / masterpiece (empty = all)
+    sort: 'collector',
+    descending: false
+  },
+  colors: ['W', 'U', 'B', 'R', 'G', 'C'],
+  cardTypes: ['Creature', 'Instant', 'Sorcery', 'Enchantment', 'Artifact', 'Planeswalker', 'Land', 'Battle'],
+  maxManaValue: 7,
+  searchDelay: 150             // Re-render after typing stops (ms)
+};
+
+// ===== COLLECTION GRID =====
+// Only rows near the viewport are mounted (see virtual-grid.js)
+export const COLLECTION_GRID = {
+  overscanRows: 2              // Rows kept mounted above and below the viewport
+};
+
 // ===== FILTER TYPES =====
 export const FILTER_TYPES = {
   ALL: 'all',
@@ -0,0 +1,190 @@
+/**
+ * MTG Pocket - Crafting
+ *
+ * Dust economy: disenchant spare copies into dust, spend dust to craft a
+ * missing card. Every transaction is persisted in state.data.crafting.log;
+ * transactions made in this session can be undone, most recent first.
+ */
+
+import { CRAFTING_CONFIG } from './constants.js';
+import {
+  getCard,
+  getSetCards,
+  addCard,
+  removeCardCopies,
+  getDust,
+  addDust,
+  logCraftingTransaction,
+  getCraftingTransaction,
+  markCraftingTransactionUndone,
+  getStorySpotlightCards
+} from './state.js';
+import { createCardData } from './pack-opening.js';
+
+// Ids of transactions made this session (undo stack)
+const sessionTransactions = [];
+let transactionCounter = 0;
+
+// ===== VALUES =====
+
+/**
+ * Dust for disenchanting one copy
+ * @param {Object} card - Collection card
+ * @returns {number}
+ */
+export function getDisenchantValue(card) {
+  const base = CRAFTING_CONFIG.disenchantValue[card.rarity] || 0;
+  if (card.masterpiece) return base * CRAFTING_CONFIG.variantMultiplier.masterpiece;
+  if (card.fullart) return base * CRAFTING_CONFIG.variantMultiplier.fullart;
+  return base;
+}
+
+/**
+ * Dust needed to craft a card (null when its rarity can't be crafted)
+ * @param {Object} card - Scryfall or collection card
+ * @returns {number|null}
+ */
+export function getCraftCost(card) {
+  return CRAFTING_CONFIG.craftCost[card.rarity] ?? null;
+}
+
+/**
+ * Copies above the ones disenchanting always keeps
+ */
+export function getSpareCopies(card) {
+  return Math.max(0, (card.count || 0) - CRAFTING_CONFIG.keepCopies);
+}
+
+/**
+ * Dust that "disenchant all duplicates" would give for a set
+ */
+export function getDuplicatesValue(setCode) {
+  return Object.values(getSetCards(setCode))
+    .reduce((sum, card) => sum + getSpareCopies(card) * getDisenchantValue(card), 0);
+}
+
+// ===== TRANSACTIONS =====
+
+/**
+ * Disenchant spare copies of one card
+ * @param {string} setCode - The set code
+ * @param {string} cardId - Collection card id
+ * @returns {Object|null} - Transaction, or null when there was nothing to disenchant
+ */
+export function disenchantCard(setCode, cardId) {
+  const card = getCard(setCode, cardId);
+  if (!card || getSpareCopies(card) === 0) return null;
+
+  return disenchant(setCode, [card]);
+}
+
+/**
+ * Disenchant spare copies of every card in a set
+ * @param {string} setCode - The set code
+ * @returns {Object|null} - Transaction, or null when there were no duplicates
+ */
+export function disenchantAllDuplicates(setCode) {
+  const cards = Object.values(getSetCards(setCode)).filter(card => getSpareCopies(card) > 0);
+  if (cards.length === 0) return null;
+
+  return disenchant(setCode, cards);
+}
+
+function disenchant(setCode, cards) {
+  const entries = cards.map(card => {
+    const copies = removeCardCopies(setCode, card.id, getSpareCopies(card));
+    return { cardId: card.id, copies, dust: copies * getDisenchantValue(card), cardData: { ...card, count: 0 } };
+  });
+  const dust = entries.reduce((sum, entry) => sum + entry.dust, 0);
+
+  addDust(dust);
+  console.log(`✨ Disenchanted ${entries.length} card(s) in ${setCode} for ${dust} dust`);
+
+  return record({ type: 'disenchant', setCode, entries, dust });
+}
+
+/**
+ * Craft a card
+ * @param {string} setCode - The set code
+ * @param {Object} card - Scryfall card to craft
+ * @returns {Object} - { transaction } on success, { error } otherwise
+ */
+export function craftCard(setCode, card) {
+  const cost = getCraftCost(card);
+
+  if (cost === null) return { error: `${card.name} can't be crafted.` };
+  if (getDust() < cost) return { error: `Crafting ${card.name} needs ${cost} dust (you have ${getDust()}).` };
+
+  const pools = { spotlight: getStorySpotlightCards() };
+  const cardData = createCardData(card, pools, { fullart: false });
+
+  addDust(-cost);
+  addCard(setCode, card.id, cardData);
+  console.log(`🔨 Crafted ${card.name} for ${cost} dust`);
+
+  const transaction = record({
+    type: 'craft',
+    setCode,
+    entries: [{ cardId: card.id, copies: 1, dust: -cost, cardData }],
+    dust: -cost
+  });
+
+  return { transaction };
+}
+
+function record(details) {
+  const transaction = {
+    id: `${Date.now()}-${++transactionCounter}`,
+    at: Date.now(),
+    undone: false,
+    ...details
+  };
+
+  logCraftingTransaction(transaction);
+  sessionTransactions.push(transaction.id);
+  return transaction;
+}
+
+// ===== UNDO =====
+
+/**
+ * Most recent transaction from this session that can still be undone
+ */
+export function getUndoableTransaction() {
+  for (let i = sessionTransactions.length - 1; i >= 0; i--) {
+    const transaction = getCraftingTransaction(sessionTransactions[i]);
+    if (transaction && !transaction.undone) return transaction;
+  }
+  return null;
+}
+
+/**
+ * Undo the most recent transaction from this session
+ * @returns {Object|null} - The undone transaction
+ */
+export function undoLastTransaction() {
+  const transaction = getUndoableTransaction();
+  if (!transaction) return null;
+
+  // Undoing a disenchant needs its dust back; LIFO order keeps that true
+  // unless dust was spent outside crafting
+  if (getDust() < transaction.dust) {
+    console.warn('Not enough dust to undo', transaction.id);
+    return null;
+  }
+
+  transaction.entries.forEach(entry => {
+    if (transaction.type === 'craft') {
+      removeCardCopies(transaction.setCode, entry.cardId, entry.copies);
+    } else {
+      addCard(transaction.setCode, entry.cardId, entry.cardData, entry.copies);
+    }
+  });
+
+  markCraftingTransactionUndone(transaction.id);
+  addDust(-transaction.dust);
+  sessionTransactions.splice(sessionTransactions.lastIndexOf(transaction.id), 1);
+
+  console.log(`↩️ Undid ${transaction.type} (${transaction.dust} dust)`);
+  return transaction;
+}
@@ -9,11 +9,15 @@ import {
   getCurrentSet, 
   getAllCards, 
   getStorySpotlightCards,
+  getPackHistory,
   addCard,
   save
 } from './state.js';
 import { getCardImages, getRandomElement, enableTilt } from './utils.js';
 import { renderCollection, updateStats } from './collection.js';
+import { replayPack, getOwnedBeforePack, createCardData } from './pack-opening.js';
+import { parseSeed } from './rng.js';
+import { grantSealedPacks } from './sealed-packs.js';
 
 // ===== DEV PANEL TOGGLE =====
 
@@ -67,22 +71,9 @@ export function initAddCard() {
       return;
     }
     
-    const cardId = card.id;
-    const isSpotlight = storySpotlightCards.some(sc => sc.id === card.id);
-    const imgs = getCardImages(card);
-    
-    const cardData = {
-      name: card.name,
-      rarity: card.rarity,
-      img: imgs.front,
-      backImg: imgs.back,
-      count: 0,
-      fullart: false,
-      spotlight: isSpotlight,
-      collectorNum: card.collector_number
-    };
+    const cardData = createCardData(card, { spotlight: storySpotlightCards }, { fullart: false });
     
-    addCard(currentSet, cardId, cardData);
+    addCard(currentSet, card.id, cardData);
     save();
     renderCollection();
     updateStats();
@@ -92,6 +83,75 @@ export function initAddCard() {
   };
 }
 
+// ===== REPLAY PACK BY SEED =====
+
+/**
+ * Initialize pack replay (re-generates a recorded pack without collecting it)
+ */
+export function initReplayPack() {
+  const replayBtn = document.getElementById('replayPackBtn');
+  const seedInput = document.getElementById('seedInput');
+  
+  if (!replayBtn || !seedInput) {
+    console.warn('Replay pack elements not found - skipping initialization');
+    return;
+  }
+  
+  // Prefill with the most recent pack's seed
+  seedInput.onfocus = () => {
+    const [lastOpened] = getPackHistory();
+    if (!seedInput.value && lastOpened) seedInput.value = String(lastOpened.seed);
+  };
+  
+  replayBtn.onclick = () => {
+    const seed = parseSeed(seedInput.value);
+    
+    if (seed === null) {
+      alert('Please enter a valid seed (0 - 4294967295)');
+      return;
+    }
+    
+    if (getAllCards().length === 0) {
+      alert('Load a set before replaying a pack');
+      return;
+    }
+    
+    const currentSet = getCurrentSet();
+    const recorded = getPackHistory().find(entry => entry.seed === seed);
+    if (recorded && recorded.setCode !== currentSet) {
+      alert(`Seed ${seed} was opened in ${recorded.setCode.toUpperCase()}; switch to that set to replay it exactly.`);
+      return;
+    }
+    
+    console.log(`🔁 Replaying pack ${seed} for ${currentSet}`);
+    // Recorded packs regenerate against the collection and protection they were opened with
+    replayPack(seed, recorded?.pity, recorded ? {
+      guaranteeFullArt: recorded.guaranteeFullArt,
+      owned: getOwnedBeforePack(recorded),
+      ...(recorded.protection !== undefined && { protection: recorded.protection })
+    } : {});
+  };
+}
+
+// ===== GRANT SEALED PACK =====
+
+/**
+ * Initialize granting a sealed pack of the current set
+ */
+export function initGrantSealedPack() {
+  const grantBtn = document.getElementById('grantSealedPack');
+  
+  if (!grantBtn) {
+    console.warn('Grant sealed pack button not found - skipping initialization');
+    return;
+  }
+  
+  grantBtn.onclick = () => {
+    const result = grantSealedPacks(getCurrentSet(), 1, 'dev');
+    if (result.error) alert(result.error);
+  };
+}
+
 // ===== TEST ENHANCED HOLOGRAPHIC EFFECT =====
 
 /**
@@ -0,0 +1,58 @@
+/**
+ * MTG Pocket - Duplicate Protection
+ *
+ * Optional per-set mode that favors cards the player doesn't own yet:
+ * - Within a rolled rarity, unowned cards are `unownedWeight` times likelier
+ * - Past `newCardGuaranteeAt` completion, a pack with no new card has one of
+ *   its main-slot cards swapped for an unowned card of the same rarity
+ * Rarity odds are unchanged either way, so pull rates stay exact.
+ */
+
+import { DUPLICATE_PROTECTION } from './constants.js';
+import { getDuplicateProtectionEnabled } from './state.js';
+
+/**
+ * Get duplicate protection settings for a set
+ * @param {string} setCode - The set code
+ * @returns {Object|null} - { unownedWeight, newCardGuaranteeAt }, or null when off
+ */
+export function getDuplicateProtection(setCode) {
+  const code = setCode?.toLowerCase();
+  const config = { ...DUPLICATE_PROTECTION.default, ...DUPLICATE_PROTECTION.bySetCode[code] };
+  const enabled = getDuplicateProtectionEnabled(setCode) ?? config.enabled;
+
+  if (!enabled) return null;
+  return { unownedWeight: config.unownedWeight, newCardGuaranteeAt: config.newCardGuaranteeAt };
+}
+
+/**
+ * Pick a card, weighting unowned cards higher
+ * @param {Array} cards - Candidates (one rarity)
+ * @param {Set<string>} owned - Owned card ids (including cards earlier in this pack)
+ * @param {number} unownedWeight - Weight of an unowned card (owned = 1)
+ * @param {Function} rng - Random source
+ * @returns {Object} - Chosen card
+ */
+export function pickFavoringUnowned(cards, owned, unownedWeight, rng) {
+  const weights = cards.map(card => (owned.has(card.id) ? 1 : unownedWeight));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let roll = rng() * total;
+
+  for (let i = 0; i < cards.length; i++) {
+    if (roll < weights[i]) return cards[i];
+    roll -= weights[i];
+  }
+
+  return cards[cards.length - 1];
+}
+
+/**
+ * Share of a set's main cards the player owns
+ * @param {Array} cards - Set cards
+ * @param {Set<string>} owned - Owned card ids
+ * @returns {number} - 0..1
+ */
+export function getCompletion(cards, owned) {
+  if (cards.length === 0) return 0;
+  return cards.filter(card => owned.has(card.id)).length / cards.length;
+}
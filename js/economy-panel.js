@@ -0,0 +1,91 @@
+/**
+ * MTG Pocket - Economy Panel
+ *
+ * Edit the current profile's point economy (rules live in economy.js).
+ */
+
+import { ECONOMY_CONFIG } from './constants.js';
+import { getCurrentSet } from './state.js';
+import { getEconomy, getPackCost, updateEconomy, resetEconomy } from './economy.js';
+import { createElement } from './utils.js';
+import { showPanelModal } from './panel-modal.js';
+
+const MINUTE = 60000;
+
+const FIELDS = [
+  { key: 'regenInterval', label: 'Minutes per point', read: economy => economy.regenInterval / MINUTE, write: value => Math.round(value * MINUTE) },
+  { key: 'maxBankedPoints', label: 'Point bank cap' },
+  { key: 'packCost', label: 'Pack cost (default)', read: economy => economy.packCost.default, write: value => ({ default: value }) },
+  { key: 'dailyBonus', label: 'Daily bonus' }
+];
+
+/**
+ * Open the economy panel
+ */
+export function showEconomyPanel() {
+  const container = createElement('div', 'economyPanel');
+  renderEconomyForm(container);
+  showPanelModal('Economy Rules', container);
+}
+
+function renderEconomyForm(container) {
+  container.innerHTML = '';
+  const economy = getEconomy();
+  const inputs = {};
+
+  container.appendChild(createElement('p', 'panelNote',
+    'Applies to this profile only. Points already banked are kept when the cap is lowered.'));
+
+  const table = createElement('table', 'panelTable');
+  FIELDS.forEach(field => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.value = field.read ? field.read(economy) : economy[field.key];
+    inputs[field.key] = input;
+
+    const row = document.createElement('tr');
+    row.appendChild(createElement('td', [], field.label));
+    const cell = document.createElement('td');
+    cell.appendChild(input);
+    row.appendChild(cell);
+    table.appendChild(row);
+  });
+  container.appendChild(table);
+
+  const setTypeCosts = Object.entries(economy.packCost.bySetType)
+    .map(([setType, cost]) => `${setType} ${cost}`)
+    .join(', ');
+  const streaks = economy.streakRewards
+    .map(reward => `+${reward.points} every ${reward.days} days`)
+    .join(', ');
+  container.appendChild(createElement('p', 'panelNote',
+    `Current set costs ${getPackCost(getCurrentSet())}. By set type: ${setTypeCosts || 'none'}. Streak rewards: ${streaks || 'none'}.`));
+
+  const actions = createElement('div', 'panelActions');
+  const saveBtn = createElement('button', [], 'Save');
+  saveBtn.onclick = () => {
+    const changes = Object.fromEntries(FIELDS.map(field => {
+      const value = Number(inputs[field.key].value);
+      return [field.key, field.write ? field.write(value) : value];
+    }));
+
+    const result = updateEconomy(changes);
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    renderEconomyForm(container);
+  };
+
+  const resetBtn = createElement('button', [], 'Reset to defaults');
+  resetBtn.onclick = () => {
+    if (!confirm(`Reset to ${ECONOMY_CONFIG.packCost.default}-point packs, one point every ${ECONOMY_CONFIG.regenInterval / MINUTE} minutes?`)) return;
+    resetEconomy();
+    renderEconomyForm(container);
+  };
+
+  actions.appendChild(saveBtn);
+  actions.appendChild(resetBtn);
+  container.appendChild(actions);
+}
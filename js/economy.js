@@ -0,0 +1,174 @@
+/**
+ * MTG Pocket - Point Economy
+ *
+ * The rules for earning and spending points: regeneration interval, bank cap,
+ * pack cost per set type, daily bonus and login streak rewards. Defaults come
+ * from ECONOMY_CONFIG; the player's overrides are saved with the profile and
+ * can change at any time, so always read the rules through getEconomy().
+ */
+
+import { ECONOMY_CONFIG } from './constants.js';
+import {
+  getEconomyOverrides,
+  setEconomyOverrides,
+  getSetMetadata,
+  getDailyLogin,
+  recordDailyLogin,
+  addPoints
+} from './state.js';
+
+const MIN_REGEN_INTERVAL = 60000; // 1 minute
+
+// ===== RULES =====
+
+/**
+ * Active economy rules (defaults merged with the player's overrides)
+ * @returns {Object} - Same shape as ECONOMY_CONFIG
+ */
+export function getEconomy() {
+  const overrides = getEconomyOverrides();
+  return {
+    ...ECONOMY_CONFIG,
+    ...overrides,
+    packCost: {
+      default: overrides.packCost?.default ?? ECONOMY_CONFIG.packCost.default,
+      bySetType: { ...ECONOMY_CONFIG.packCost.bySetType, ...overrides.packCost?.bySetType },
+      bySetCode: { ...ECONOMY_CONFIG.packCost.bySetCode, ...overrides.packCost?.bySetCode }
+    }
+  };
+}
+
+/**
+ * Points needed to open a pack of a set
+ * @param {string} setCode - The set code
+ * @returns {number}
+ */
+export function getPackCost(setCode) {
+  const { packCost } = getEconomy();
+  const code = setCode?.toLowerCase();
+  const setType = getSetMetadata(setCode)?.type;
+
+  return packCost.bySetCode[code] ?? packCost.bySetType[setType] ?? packCost.default;
+}
+
+/**
+ * Check economy overrides
+ * @param {Object} overrides - Partial ECONOMY_CONFIG
+ * @returns {string|null} - Problem with the values, or null when fine
+ */
+export function validateEconomy(overrides) {
+  const isCount = value => value === undefined || (Number.isInteger(value) && value >= 0);
+  const costs = [
+    overrides.packCost?.default,
+    ...Object.values(overrides.packCost?.bySetType || {}),
+    ...Object.values(overrides.packCost?.bySetCode || {})
+  ];
+
+  if (overrides.regenInterval !== undefined
+    && !(Number.isFinite(overrides.regenInterval) && overrides.regenInterval >= MIN_REGEN_INTERVAL)) {
+    return 'Points must take at least a minute to regenerate.';
+  }
+  if (overrides.maxBankedPoints !== undefined
+    && !(Number.isInteger(overrides.maxBankedPoints) && overrides.maxBankedPoints >= 1)) {
+    return 'The point bank must hold at least 1 point.';
+  }
+  if (!costs.every(isCount)) return 'Pack costs must be whole numbers of points.';
+  if (!isCount(overrides.dailyBonus)) return 'The daily bonus must be a whole number of points.';
+  if (overrides.streakRewards !== undefined && !(Array.isArray(overrides.streakRewards)
+    && overrides.streakRewards.every(reward => Number.isInteger(reward?.days) && reward.days >= 1 && isCount(reward.points)))) {
+    return 'Streak rewards need a number of days and points.';
+  }
+  return null;
+}
+
+/**
+ * Change economy rules for the current profile
+ * @param {Object} changes - Partial ECONOMY_CONFIG, merged over the current overrides
+ * @returns {Object} - { economy } on success, { error } otherwise
+ */
+export function updateEconomy(changes) {
+  const current = getEconomyOverrides();
+  const overrides = {
+    ...current,
+    ...changes,
+    packCost: { ...current.packCost, ...changes.packCost }
+  };
+
+  const error = validateEconomy(overrides);
+  if (error) return { error };
+
+  setEconomyOverrides(overrides);
+  console.log('💰 Economy updated:', changes);
+  notifyEconomyChanged();
+  return { economy: getEconomy() };
+}
+
+/**
+ * Go back to the default rules
+ */
+export function resetEconomy() {
+  setEconomyOverrides({});
+  console.log('💰 Economy reset to defaults');
+  notifyEconomyChanged();
+}
+
+function notifyEconomyChanged() {
+  document.dispatchEvent(new CustomEvent('economyChanged'));
+}
+
+// ===== DAILY BONUS =====
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number} timestamp
+ * @returns {string} - YYYY-MM-DD
+ */
+export function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function getPreviousDayKey(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return getDayKey(new Date(year, month - 1, date - 1).getTime());
+}
+
+/**
+ * Work out today's bonus
+ * @param {Object} input - { today, lastDay, streak }
+ * @param {Object} [economy] - Rules, from getEconomy()
+ * @returns {Object|null} - { points, streak, streakBonus }, or null when already claimed
+ */
+export function settleDailyBonus({ today, lastDay, streak }, economy = getEconomy()) {
+  // Already claimed, or the clock is behind the last claim
+  if (lastDay && today <= lastDay) return null;
+
+  const newStreak = lastDay === getPreviousDayKey(today) ? streak + 1 : 1;
+  const streakBonus = economy.streakRewards
+    .filter(reward => newStreak % reward.days === 0)
+    .reduce((sum, reward) => sum + reward.points, 0);
+
+  return { points: economy.dailyBonus + streakBonus, streak: newStreak, streakBonus };
+}
+
+/**
+ * Grant the first-visit-of-the-day bonus, once per day
+ * @param {number} [now]
+ * @returns {Object|null} - What was granted (see settleDailyBonus)
+ */
+export function claimDailyBonus(now = Date.now()) {
+  const today = getDayKey(now);
+  const bonus = settleDailyBonus({ today, ...getDailyLogin() });
+  if (!bonus) return null;
+
+  if (bonus.points > 0) addPoints(bonus.points);
+  recordDailyLogin(today, bonus.streak);
+  console.log(`🎁 Daily bonus: +${bonus.points} (${bonus.streak}-day streak)`);
+
+  document.dispatchEvent(new CustomEvent('dailyBonusClaimed', { detail: bonus }));
+  return bonus;
+}
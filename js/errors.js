@@ -0,0 +1,115 @@
+/**
+ * MTG Pocket - Error Types
+ *
+ * Typed errors for the card-data request layer so callers can tell
+ * "this query has no results" apart from real failures, plus saved-data
+ * storage and migration failures.
+ */
+
+/**
+ * A request reached the server but failed (HTTP error or Scryfall error object)
+ */
+export class ApiError extends Error {
+  constructor(message, { url = null, status = null, code = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.url = url;
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter; // ms, from the Retry-After header
+  }
+
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+
+  get userMessage() {
+    if (this.status === 429) return 'Scryfall is rate limiting requests. Please wait a moment and retry.';
+    if (this.status >= 500) return `Scryfall is having trouble (HTTP ${this.status}). Please retry shortly.`;
+    return `Could not load card data: ${this.message}`;
+  }
+}
+
+/**
+ * The query succeeded but matched nothing (Scryfall 404 "not_found")
+ */
+export class NoResultsError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 404, code: 'not_found', ...options });
+    this.name = 'NoResultsError';
+  }
+
+  get retryable() {
+    return false;
+  }
+
+  get userMessage() {
+    return 'No cards found.';
+  }
+}
+
+/**
+ * The request never reached the server (offline, DNS, CORS)
+ */
+export class NetworkError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+
+  get userMessage() {
+    return "Can't reach the card database. Check your connection and retry.";
+  }
+}
+
+/**
+ * A saved-data migration step threw (see migrations.js)
+ */
+export class MigrationError extends Error {
+  constructor(message, { fromVersion = null, failedVersion = null, cause = null } = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.fromVersion = fromVersion;
+    this.failedVersion = failedVersion;
+    this.cause = cause;
+  }
+
+  get userMessage() {
+    return `Your saved data couldn't be upgraded (schema v${this.fromVersion} → v${this.failedVersion}). ` +
+      'It has been left untouched and progress this session will not be saved.';
+  }
+}
+
+/**
+ * Saved data could not be read or written (see storage.js)
+ */
+export class StorageError extends Error {
+  constructor(message, { raw = null, cause = null } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.raw = raw; // Unreadable stored text, kept for recovery
+    this.cause = cause;
+  }
+
+  get quotaExceeded() {
+    return this.cause?.name === 'QuotaExceededError';
+  }
+
+  get userMessage() {
+    if (this.quotaExceeded) return 'Storage is full, so your latest progress was not saved. Export a backup and free up space.';
+    return 'Your latest progress could not be saved. Export a backup to be safe.';
+  }
+}
+
+/**
+ * Get a message suitable for showing to the player
+ * @param {Error} error - Any error
+ * @returns {string}
+ */
+export function getUserMessage(error) {
+  return error instanceof ApiError ? error.userMessage : 'Something went wrong loading card data.';
+}
@@ -0,0 +1,57 @@
+/**
+ * MTG Pocket - Fixture Provider
+ *
+ * Card-data provider that reads sets and cards from local JSON instead of the network.
+ * Either point it at a directory laid out as:
+ *
+ *   <baseUrl>/sets.json            - Array of set objects
+ *   <baseUrl>/cards/<code>.json    - Array of card objects for one set
+ *
+ * or hand it a bundled fixture object: { sets: [...], cards: { <code>: [...] } }.
+ * Sets and cards use the same fields as Scryfall objects.
+ */
+
+export class FixtureProvider {
+  constructor({ baseUrl = null, fixture = null } = {}) {
+    this.id = 'fixture';
+    this.baseUrl = baseUrl;
+    this.fixture = fixture;
+    this.cacheable = false;
+    this.curatedSets = true;
+  }
+
+  async fetchSets() {
+    if (this.fixture) return [...(this.fixture.sets || [])];
+    return await this.readJson('sets.json');
+  }
+
+  async fetchSetCards(setCode) {
+    if (this.fixture) return [...(this.fixture.cards?.[setCode] || [])];
+
+    try {
+      return await this.readJson(`cards/${setCode}.json`);
+    } catch (error) {
+      console.log(`No fixture cards for ${setCode}`);
+      return [];
+    }
+  }
+
+  async fetchFullArtCards(setCode) {
+    const cards = await this.fetchSetCards(setCode);
+    return cards.filter(card => card.full_art || card.frame_effects?.includes('extendedart'));
+  }
+
+  async fetchStorySpotlightCards(setCode) {
+    const cards = await this.fetchSetCards(setCode);
+    return cards.filter(card => card.story_spotlight);
+  }
+
+  async readJson(path) {
+    const res = await fetch(`${this.baseUrl}/${path}`);
+    if (!res.ok) throw new Error(`Fixture not found: ${path}`);
+
+    const json = await res.json();
+    // Accept raw arrays or Scryfall-style list objects
+    return Array.isArray(json) ? json : json.data || [];
+  }
+}
@@ -4,34 +4,68 @@
  * Entry point for the application. Initializes all modules and sets up event handlers.
  */
 
-import { PACK_COST, INTERVAL, COUNTDOWN_UPDATE_INTERVAL } from './constants.js';
+import { COUNTDOWN_UPDATE_INTERVAL, PITY_CONFIG, MILESTONE_CONFIG, SEALED_STACK_LAYERS } from './constants.js';
 import {
   initializeState,
   save,
+  flushSave,
   getPoints,
   setPoints,
-  addPoints,
-  updateLastTimestamp,
-  getLastTimestamp,
   setCurrentSet,
   updateCardsData,
   addSetMetadata,
   getLastPack,
-  getCurrentSet
+  getCurrentSet,
+  setSetLoadError,
+  getSetLoadError,
+  getStorageIssue,
+  getPityCounters,
+  getDailyLogin,
+  getTokens,
+  getSealedPacks,
+  getSetMetadata,
+  getSetCards,
+  getAllCards,
+  getFullArtCards,
+  updateCardRecords,
+  setDuplicateProtectionEnabled
 } from './state.js';
 import {
   fetchAllSets,
-  filterSets,
+  filterSelectableSets,
   sortSetsByDate,
   loadCompleteSetData
 } from './api.js';
 import { formatTime } from './utils.js';
-import { openPack } from './pack-opening.js';
-import { showCollectionView, showHomeScreen, updateStats } from './collection.js';
-import { initPackCarousel, renderPackCarousel } from './pack-carousel.js';
+import { getUserMessage } from './errors.js';
+import { backfillCardMetadata } from './migrations.js';
+import { openPack, canGuaranteeFullArt } from './pack-opening.js';
+import { waitForPackModal } from './card-renderer.js';
+import { buySealedPack, getSealedPackInventory } from './sealed-packs.js';
+import { showCollectionView, showHomeScreen, updateStats, initCraftingControls, initCollectionToolbar, refreshCollectionView } from './collection.js';
+import { showBinderView, initBinderControls, refreshBinderView } from './binder.js';
+import { initPackCarousel, renderPackCarousel, renderCarouselError, refreshPackBadges } from './pack-carousel.js';
+import { showPullRates } from './pull-rates.js';
+import { showPackHistory } from './pack-history.js';
+import { showBackupPanel } from './backup-panel.js';
+import { getActiveProfileId } from './profiles.js';
+import { initProfileSwitcher } from './profile-panel.js';
+import { initTabSync, isTimerOwner } from './tab-sync.js';
+import { tickPointTimer, resetTimerTracking } from './point-timer.js';
+import { getEconomy, getPackCost, claimDailyBonus, getDayKey } from './economy.js';
+import { showEconomyPanel } from './economy-panel.js';
+import { initMissions, ensureDailyMissions, recordSetVisit, describeMission } from './missions.js';
+import { showMissionsPanel } from './missions-panel.js';
+import { showToast } from './toast.js';
+import { initMilestones, checkSetMilestones, getSetBadge, describeMilestone, describeReward } from './milestones.js';
+import { getPityTracks, createPityCounters, isPityBoosted } from './pity.js';
+import { getPackTemplate } from './pack-templates.js';
+import { getDuplicateProtection } from './duplicate-protection.js';
 import {
   initDevPanel,
   initAddCard,
+  initReplayPack,
+  initGrantSealedPack,
   initTestGlareManual,
   initDiagnostic
 } from './dev-tools.js';
@@ -46,7 +80,13 @@ async function init() {
   
   // Load saved data
   console.log('📂 Loading saved data...');
-  initializeState();
+  await initializeState({ profileId: getActiveProfileId() });
+  showStorageWarning();
+  document.addEventListener('storageIssue', showStorageWarning);
+  window.addEventListener('pagehide', () => flushSave());
+  initTabSync();
+  initMissions();
+  initMilestones();
   
   // Load sets
   console.log('📦 Loading sets...');
@@ -71,14 +111,25 @@ async function init() {
 
 /**
  * Load all MTG sets and populate the set selector
+ * @param {Object} options - { forceRefresh } refetches the set list and the current set
  */
-async function loadSets() {
+async function loadSets(options = {}) {
   console.log('  └─ Fetching all sets from API...');
-  const allSets = await fetchAllSets();
+  let allSets;
+  try {
+    allSets = await fetchAllSets(options);
+  } catch (error) {
+    console.error('❌ Failed to load sets:', error);
+    showLoadError(error, async () => {
+      await loadSets(options);
+      updateUI();
+    });
+    return;
+  }
   console.log(`    ✅ Fetched ${allSets.length} sets`);
   
   console.log('  └─ Filtering sets...');
-  const filteredSets = filterSets(allSets);
+  const filteredSets = filterSelectableSets(allSets);
   console.log(`    ✅ Filtered to ${filteredSets.length} sets`);
   
   console.log('  └─ Sorting sets by date...');
@@ -107,28 +158,34 @@ async function loadSets() {
       name: set.name,
       icon: set.icon_svg_uri,
       parent: set.parent_set_code,
-      type: set.set_type
+      type: set.set_type,
+      released: set.released_at
     });
   });
+  updateSetBadges();
   
-  // Set current set to last opened pack or first in list
+  // Set current set to last opened pack or first in list (a refresh stays on the current set)
   const lastPack = getLastPack();
-  const initialSet = lastPack || setSelect.value;
-  console.log('  └─ Setting initial set:', initialSet, lastPack ? '(from last pack)' : '(first in list)');
+  const refreshedSet = options.forceRefresh && sortedSets.some(set => set.code === getCurrentSet())
+    ? getCurrentSet()
+    : null;
+  const initialSet = refreshedSet || lastPack || setSelect.value;
+  console.log('  └─ Setting initial set:', initialSet, refreshedSet ? '(refreshed)' : lastPack ? '(from last pack)' : '(first in list)');
   setCurrentSet(initialSet);
   setSelect.value = initialSet;
   
   // Load the initial set
   console.log('  └─ Loading initial set data...');
-  await loadSet();
+  await loadSet(options);
   
   console.log('✅ Sets loaded\n');
 }
 
 /**
  * Load card data for the current set
+ * @param {Object} options - { forceRefresh } refetches instead of using cached data
  */
-async function loadSet() {
+async function loadSet(options = {}) {
   const currentSet = getCurrentSet();
   console.log('📦 === LOAD SET START ===');
   console.log('  └─ Set code:', currentSet);
@@ -142,7 +199,21 @@ async function loadSet() {
   }));
   
   console.log('  └─ Fetching complete set data from API...');
-  const setData = await loadCompleteSetData(currentSet, allSets);
+  let setData;
+  try {
+    setData = await loadCompleteSetData(currentSet, allSets, options);
+  } catch (error) {
+    console.error('❌ Failed to load set data:', error);
+    // Never leave the previous set's cards in place for this set's packs
+    updateCardsData([], [], [], []);
+    updateStats();
+    showLoadError(error, async () => {
+      await loadSet(options);
+      updateUI();
+    });
+    return;
+  }
+  setSetLoadError(null);
   
   console.log('  └─ Card counts:');
   console.log(`    • Main cards: ${setData.mainCards.length}`);
@@ -155,9 +226,25 @@ async function loadSet() {
     setData.mainCards,
     setData.fullArtCards,
     setData.masterpieceCards,
-    setData.storySpotlightCards
+    setData.storySpotlightCards,
+    currentSet
   );
   
+  console.log('  └─ Backfilling card details...');
+  const backfill = backfillCardMetadata(getSetCards(currentSet), [
+    ...setData.mainCards,
+    ...setData.fullArtCards,
+    ...setData.masterpieceCards,
+    ...setData.storySpotlightCards
+  ]);
+  if (Object.keys(backfill).length > 0) {
+    updateCardRecords(currentSet, backfill);
+    console.log(`    ✅ Added details to ${Object.keys(backfill).length} saved cards`);
+  }
+  
+  console.log('  └─ Checking completion milestones...');
+  checkSetMilestones();
+  
   console.log('  └─ Rendering carousel...');
   renderPackCarousel();
   
@@ -167,6 +254,31 @@ async function loadSet() {
   console.log('✅ === LOAD SET COMPLETE ===\n');
 }
 
+/**
+ * Show a load failure in the carousel with a retry action
+ * @param {Error} error - The failure
+ * @param {Function} retry - Async retry handler
+ */
+function showLoadError(error, retry) {
+  const message = getUserMessage(error);
+  setSetLoadError(message);
+  renderCarouselError(message, retry);
+  updateUI();
+}
+
+/**
+ * Tell the player when their save was restored, replaced, left read-only
+ * or could not be written
+ */
+function showStorageWarning() {
+  const issue = getStorageIssue();
+  const banner = document.getElementById('storageWarning');
+  if (!banner) return;
+  
+  banner.textContent = issue ? `⚠️ ${issue.message}` : '';
+  banner.hidden = !issue;
+}
+
 // ===== UI INITIALIZATION =====
 
 /**
@@ -176,6 +288,9 @@ function initializeUI() {
   // Initialize pack carousel
   initPackCarousel();
   
+  // Profile switcher (header)
+  initProfileSwitcher();
+  
   // CRITICAL: Listen for carousel rotation BEFORE other events
   // This ensures proper sequencing: rotate → load → render → open
   document.addEventListener('carouselSetChange', async (e) => {
@@ -195,6 +310,76 @@ function initializeUI() {
     console.log('✅ === EVENT: carouselSetChange COMPLETE ===\n');
   });
   
+  // Profile switched: everything shown belongs to the old profile
+  document.addEventListener('profileChanged', async (e) => {
+    console.log('📨 === EVENT: profileChanged ===', e.detail?.profile?.name);
+    showStorageWarning();
+    showHomeScreen();
+    
+    const lastPack = getLastPack();
+    const setSelect = document.getElementById('setSelect');
+    if (lastPack && [...setSelect.options].some(option => option.value === lastPack)) {
+      setCurrentSet(lastPack);
+      setSelect.value = lastPack;
+    }
+    
+    await loadSet();
+    updateSetBadges();
+    updateUI();
+    console.log('✅ === EVENT: profileChanged COMPLETE ===\n');
+  });
+  
+  // Economy rules changed (cost, bank cap...)
+  document.addEventListener('economyChanged', updateUI);
+  
+  // Sealed packs earned, bought or granted
+  document.addEventListener('sealedPacksChanged', updateUI);
+  
+  // Slow card-data retries (rate limiting, server errors)
+  document.addEventListener('requestRetryWait', (e) => {
+    const { delay, attempt, maxRetries } = e.detail;
+    showToast('Card data is taking a while', {
+      icon: '⏳',
+      detail: `Scryfall is busy; retry ${attempt}/${maxRetries} in ${Math.ceil(delay / 1000)}s`
+    });
+  });
+  
+  // Rewards and unlocks
+  document.addEventListener('dailyBonusClaimed', (e) => {
+    const { points, streak, streakBonus } = e.detail;
+    showToast(`Daily bonus +${points}`, {
+      icon: '🎁',
+      detail: streakBonus > 0 ? `${streak}-day streak! (+${streakBonus})` : `${streak}-day streak`
+    });
+  });
+  document.addEventListener('missionCompleted', (e) => {
+    showToast('Mission complete', { icon: '🎯', detail: `${describeMission(e.detail)} · +${e.detail.reward} points` });
+    updateUI();
+  });
+  document.addEventListener('achievementUnlocked', (e) => {
+    showToast(`Achievement: ${e.detail.title}`, { icon: '🏆', detail: e.detail.description });
+  });
+  document.addEventListener('milestoneReached', (e) => {
+    const setName = getSetMetadata(e.detail.setCode)?.name || e.detail.setCode.toUpperCase();
+    showToast(`${setName}: ${describeMilestone(e.detail)}`, {
+      icon: e.detail.track === 'overall' ? MILESTONE_CONFIG.badges[e.detail.threshold] : '🏅',
+      detail: describeReward(e.detail.reward)
+    });
+    updateSetBadges();
+    refreshPackBadges();
+    updateUI();
+  });
+  
+  // Changes made in another tab on this profile
+  document.addEventListener('remoteStateChange', () => {
+    console.log('📨 === EVENT: remoteStateChange ===');
+    updateSetBadges();
+    refreshPackBadges();
+    updateUI();
+    refreshCollectionView();
+    refreshBinderView();
+  });
+  
   // Pack opening event
   document.addEventListener('openPack', async (e) => {
     console.log('📨 === EVENT: openPack ===');
@@ -204,15 +389,25 @@ function initializeUI() {
     const freeMode = document.getElementById('freeMode').checked;
     console.log('  └─ Free mode:', freeMode);
     
-    console.log('  └─ Calling openPack()...');
-    await openPack(freeMode);
-    
-    console.log('  └─ Refreshing carousel...');
-    renderPackCarousel();
+    const options = { fullArtToken: e.detail?.fullArtToken, sealed: e.detail?.sealed };
+    const packCount = e.detail?.openAll ? getSealedPacks(getCurrentSet()) : 1;
     
-    console.log('  └─ Updating UI and stats...');
-    updateUI();
-    updateStats();
+    for (let opened = 0; opened < packCount; opened++) {
+      // Open all: each pack rips once the previous reveal is closed
+      if (opened > 0) await waitForPackModal();
+      
+      console.log(`  └─ Calling openPack() (${opened + 1}/${packCount})...`);
+      const pack = await openPack(freeMode, options);
+      
+      console.log('  └─ Refreshing carousel...');
+      renderPackCarousel();
+      
+      console.log('  └─ Updating UI and stats...');
+      updateUI();
+      updateStats();
+      
+      if (!pack) break;
+    }
     
     console.log('✅ === EVENT: openPack COMPLETE ===\n');
   });
@@ -229,6 +424,35 @@ function initializeUI() {
     document.dispatchEvent(event);
   };
   
+  // Full-art pack token (set completion reward)
+  document.getElementById('openFullArtToken').onclick = () => {
+    console.log('🔘 === BUTTON: Open Full-Art Token ===');
+    document.dispatchEvent(new CustomEvent('openPack', {
+      detail: { setCode: getCurrentSet(), fullArtToken: true }
+    }));
+  };
+  
+  // Sealed packs of the current set
+  document.getElementById('openSealedPack').onclick = () => {
+    console.log('🔘 === BUTTON: Open Sealed Pack ===');
+    document.dispatchEvent(new CustomEvent('openPack', {
+      detail: { setCode: getCurrentSet(), sealed: true }
+    }));
+  };
+  
+  document.getElementById('openAllSealedPacks').onclick = () => {
+    console.log('🔘 === BUTTON: Open All Sealed Packs ===');
+    document.dispatchEvent(new CustomEvent('openPack', {
+      detail: { setCode: getCurrentSet(), sealed: true, openAll: true }
+    }));
+  };
+  
+  document.getElementById('buySealedPack').onclick = () => {
+    console.log('🔘 === BUTTON: Buy Sealed Pack ===');
+    const result = buySealedPack(getCurrentSet());
+    if (result.error) alert(result.error);
+  };
+  
   // Navigation
   document.getElementById('viewCollection').onclick = () => {
     console.log('🔘 === BUTTON: View Collection ===');
@@ -240,6 +464,74 @@ function initializeUI() {
     showHomeScreen();
   };
   
+  document.getElementById('viewBinder').onclick = () => {
+    console.log('🔘 === BUTTON: Binder ===');
+    showBinderView();
+  };
+  
+  document.getElementById('binderBack').onclick = () => {
+    console.log('🔘 === BUTTON: Binder Back Home ===');
+    showHomeScreen();
+  };
+  
+  // Binder: jump to a set's collection (its card list must be loaded first)
+  initBinderControls();
+  document.addEventListener('binderJumpToSet', async (e) => {
+    const { setCode } = e.detail;
+    console.log('📨 === EVENT: binderJumpToSet ===', setCode);
+    
+    setCurrentSet(setCode);
+    document.getElementById('setSelect').value = setCode;
+    recordSetVisit(setCode);
+    
+    await loadSet();
+    updateUI();
+    showCollectionView();
+    console.log('✅ === EVENT: binderJumpToSet COMPLETE ===\n');
+  });
+  
+  // Crafting and search / filters (collection view)
+  initCraftingControls();
+  initCollectionToolbar();
+  
+  document.getElementById('viewPullRates').onclick = () => {
+    console.log('🔘 === BUTTON: Pull Rates ===');
+    showPullRates();
+  };
+  
+  document.getElementById('viewPackHistory').onclick = () => {
+    console.log('🔘 === BUTTON: Pack History ===');
+    showPackHistory();
+  };
+  
+  document.getElementById('viewBackup').onclick = () => {
+    console.log('🔘 === BUTTON: Backup & Import ===');
+    showBackupPanel();
+  };
+  
+  document.getElementById('viewMissions').onclick = () => {
+    console.log('🔘 === BUTTON: Missions ===');
+    showMissionsPanel();
+  };
+  
+  document.getElementById('economySettings').onclick = () => {
+    console.log('🔘 === BUTTON: Economy Rules ===');
+    showEconomyPanel();
+  };
+  
+  // Refresh the set list and set data (bypass offline cache)
+  document.getElementById('refreshSetData').onclick = async (event) => {
+    console.log('🔘 === BUTTON: Refresh Set Data ===');
+    const btn = event.currentTarget;
+    btn.disabled = true;
+    
+    try {
+      await loadSets({ forceRefresh: true });
+    } finally {
+      btn.disabled = false;
+    }
+  };
+  
   // Set selector - changing dropdown
   document.getElementById('setSelect').onchange = async (event) => {
     console.log('🔽 === DROPDOWN: Set Changed ===');
@@ -247,6 +539,7 @@ function initializeUI() {
     
     console.log('  └─ Updating state...');
     setCurrentSet(event.target.value);
+    recordSetVisit(event.target.value);
     
     console.log('  └─ Loading set...');
     await loadSet();
@@ -254,6 +547,12 @@ function initializeUI() {
     console.log('✅ === DROPDOWN: Set Changed COMPLETE ===\n');
   };
   
+  // Duplicate protection toggle (stored per set)
+  document.getElementById('duplicateProtection').onchange = (event) => {
+    console.log('🔘 === TOGGLE: Duplicate Protection ===', event.target.checked);
+    setDuplicateProtectionEnabled(getCurrentSet(), event.target.checked);
+  };
+  
   // Free mode toggle
   document.getElementById('freeMode').onchange = () => {
     console.log('🔘 === TOGGLE: Free Mode ===');
@@ -263,6 +562,8 @@ function initializeUI() {
   // Dev tools (FIXED - removed library test)
   initDevPanel();
   initAddCard();
+  initReplayPack();
+  initGrantSealedPack();
   initTestGlareManual();
   initDiagnostic();
   
@@ -277,28 +578,33 @@ function initializeUI() {
 function startCountdownTimer() {
   tick(); // Initial tick
   setInterval(tick, COUNTDOWN_UPDATE_INTERVAL);
+  
+  // Time spent hidden or asleep isn't measured against the monotonic clock
+  document.addEventListener('visibilitychange', resetTimerTracking);
 }
 
 /**
  * Update countdown timer and regenerate points
  */
 function tick() {
-  const now = Date.now();
-  const lastTimestamp = getLastTimestamp();
-  const diff = now - lastTimestamp;
-  const hoursElapsed = Math.floor(diff / INTERVAL);
-  
-  // Add points for elapsed hours
-  if (hoursElapsed > 0) {
-    addPoints(hoursElapsed);
-    updateLastTimestamp(lastTimestamp + (hoursElapsed * INTERVAL));
+  // Only one tab per profile grants points
+  const { remaining, bankFull, clockChange } = tickPointTimer({ grant: isTimerOwner() });
+  const countdown = document.getElementById('countdown');
+  
+  // Day rollover; no daily bonus right after the clock was changed
+  if (isTimerOwner()) {
+    ensureDailyMissions();
+    if (!clockChange) claimDailyBonus();
   }
   
-  // Calculate time remaining until next point
-  const remaining = INTERVAL - (now - getLastTimestamp());
-  const formattedTime = formatTime(remaining);
+  countdown.textContent = bankFull
+    ? `Point bank full (${getEconomy().maxBankedPoints}) - open a pack to keep earning`
+    : `Next point in: ${formatTime(remaining)}`;
   
-  document.getElementById('countdown').textContent = `Next point in: ${formattedTime}`;
+  countdown.classList.toggle('clockWarning', Boolean(clockChange));
+  countdown.title = clockChange
+    ? 'Your system clock changed - the skipped time did not earn points'
+    : '';
   
   updateUI();
 }
@@ -320,11 +626,145 @@ function updateUI() {
     btn.style.background = 'linear-gradient(135deg,#ff6b6b,#ee5a6f)';
     btn.disabled = false;
   } else {
-    costSpan.textContent = PACK_COST;
+    const packCost = getPackCost(getCurrentSet());
+    costSpan.textContent = packCost;
     pointsSpan.textContent = getPoints();
     btn.style.background = 'linear-gradient(135deg,#4facfe,#00f2fe)';
-    btn.disabled = getPoints() < PACK_COST;
+    btn.disabled = getPoints() < packCost;
   }
+  
+  // No packs while the current set failed to load
+  if (getSetLoadError()) {
+    btn.disabled = true;
+  }
+  
+  const tokens = getTokens('fullArtPack');
+  const tokenBtn = document.getElementById('openFullArtToken');
+  // The token guarantees a full-art, so it needs a set whose packs have a full-art bonus
+  const canUseToken = canGuaranteeFullArt(getCurrentSet());
+  tokenBtn.style.display = tokens > 0 ? '' : 'none';
+  tokenBtn.disabled = Boolean(getSetLoadError()) || !canUseToken;
+  tokenBtn.title = getAllCards().length > 0 && !canUseToken
+    ? "This set's packs have no full-art bonus - use the token in a set that does"
+    : '';
+  document.getElementById('fullArtTokens').textContent = tokens;
+  
+  updateSealedPacks();
+  updatePityCounters();
+  updateDailyStatus();
+  document.getElementById('duplicateProtection').checked = !!getDuplicateProtection(getCurrentSet());
+}
+
+const PITY_LABELS = {
+  mythic: 'Mythic',
+  fullArt: 'Full-art',
+  godPack: 'God pack'
+};
+
+/**
+ * Show dry-streak counters for the current set (packs since last hit / guarantee)
+ * Tracks the set can't hit (no mythics / full-arts, or no slot for them) aren't shown.
+ * Runs every tick, so the counters are only rebuilt when they change.
+ */
+function updatePityCounters() {
+  const container = document.getElementById('pityCounters');
+  const counters = getPityCounters(getCurrentSet()) || createPityCounters();
+  const tracks = getPityTracks({ all: getAllCards(), fullArt: getFullArtCards() }, getPackTemplate(getCurrentSet()));
+  
+  const key = tracks.map(track => `${track}:${counters[track] || 0}`).join();
+  if (container.dataset.key === key) return;
+  container.dataset.key = key;
+  
+  container.innerHTML = '';
+  tracks.forEach(track => {
+    const { softStart, hardCap } = PITY_CONFIG[track];
+    const count = counters[track] || 0;
+    
+    const counter = document.createElement('span');
+    counter.className = 'pityCounter';
+    counter.classList.toggle('boosted', isPityBoosted(track, counters));
+    counter.textContent = `${PITY_LABELS[track]} ${count}/${hardCap}`;
+    counter.title = `${count} packs since your last ${PITY_LABELS[track].toLowerCase()}. Odds rise after ${softStart}; guaranteed by ${hardCap}.`;
+    container.appendChild(counter);
+  });
+}
+
+/**
+ * Show the current set's sealed pack stack and what's held in other sets
+ * (runs every tick; the stack is only rebuilt when the set or its count changes)
+ */
+function updateSealedPacks() {
+  const currentSet = getCurrentSet();
+  const count = getSealedPacks(currentSet);
+  const loadError = Boolean(getSetLoadError());
+  
+  updateSealedStack(currentSet, count);
+  
+  document.getElementById('sealedCount').textContent = count > 0
+    ? `📦 ${count} sealed ${currentSet.toUpperCase()} pack${count === 1 ? '' : 's'}`
+    : 'No sealed packs';
+  document.getElementById('openSealedPack').disabled = count === 0 || loadError;
+  document.getElementById('openAllSealedPacks').disabled = count < 2 || loadError;
+  
+  const packCost = getPackCost(currentSet);
+  document.getElementById('sealedCost').textContent = packCost;
+  document.getElementById('buySealedPack').disabled = !currentSet || getPoints() < packCost;
+  
+  const otherSets = getSealedPackInventory()
+    .filter(entry => entry.setCode !== currentSet)
+    .map(entry => `${entry.setCode.toUpperCase()} ×${entry.count}`);
+  document.getElementById('sealedOther').textContent = otherSets.length > 0
+    ? `Also sealed: ${otherSets.join(', ')}`
+    : '';
+}
+
+function updateSealedStack(setCode, count) {
+  const icon = getSetMetadata(setCode)?.icon;
+  const layers = Math.min(count, SEALED_STACK_LAYERS);
+  const stack = document.getElementById('sealedStack');
+  
+  const key = `${setCode}:${layers}:${icon || ''}`;
+  if (stack.dataset.key === key) return;
+  stack.dataset.key = key;
+  
+  stack.innerHTML = '';
+  stack.classList.toggle('empty', count === 0);
+  for (let layer = 0; layer < layers; layer++) {
+    const pack = document.createElement('div');
+    pack.className = 'sealedPack';
+    pack.style.setProperty('--layer', layer);
+    if (icon) {
+      const img = document.createElement('img');
+      img.src = icon;
+      img.alt = '';
+      pack.appendChild(img);
+    }
+    stack.appendChild(pack);
+  }
+}
+
+/**
+ * Prefix set names in the dropdown with their completion badge
+ */
+function updateSetBadges() {
+  [...document.getElementById('setSelect').options].forEach(option => {
+    const name = getSetMetadata(option.value)?.name || option.value;
+    const badge = getSetBadge(option.value);
+    option.textContent = badge ? `${badge.icon} ${name}` : name;
+  });
+}
+
+/**
+ * Show today's login streak once the daily bonus is claimed
+ */
+function updateDailyStatus() {
+  const status = document.getElementById('dailyStatus');
+  const { lastDay, streak } = getDailyLogin();
+  const { dailyBonus } = getEconomy();
+  
+  status.textContent = lastDay === getDayKey(Date.now())
+    ? `🎁 Daily bonus claimed · ${streak}-day streak`
+    : `🎁 Daily bonus +${dailyBonus} waiting`;
 }
 
 // ===== START APPLICATION =====
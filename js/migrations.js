@@ -0,0 +1,263 @@
+/**
+ * MTG Pocket - Saved Data Migrations
+ *
+ * Ordered registry of schema migrations for state.data. Saves written before
+ * schema versioning have no `schemaVersion` and count as version 1; each step
+ * upgrades from `version - 1` to `version`. To change the saved shape, add a
+ * step here and bump SCHEMA_VERSION in constants.js - never patch old saves
+ * elsewhere.
+ */
+
+import { SCHEMA_VERSION, MTG_CARD_BACK, CARD_METADATA_VERSION } from './constants.js';
+import { getCardMetadata, getBaseCardId } from './utils.js';
+import { MigrationError } from './errors.js';
+
+export const LEGACY_SCHEMA_VERSION = 1;
+
+// ===== REGISTRY =====
+
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add fields introduced before schema versioning',
+    migrate: addMissingFields
+  },
+  {
+    version: 3,
+    description: 'Normalize card records (id, fullart, backImg, count, name, img)',
+    migrate: normalizeCards
+  },
+  {
+    version: 4,
+    description: 'Add point timer event log',
+    migrate: addTimerState
+  },
+  {
+    version: 5,
+    description: 'Add daily login streak',
+    migrate: addDailyState
+  },
+  {
+    version: 6,
+    description: 'Add missions / achievements progress, counting packs already in the history',
+    migrate: addProgressState
+  },
+  {
+    version: 7,
+    description: 'Add set completion milestones and reward tokens',
+    migrate: addMilestoneState
+  },
+  {
+    version: 8,
+    description: 'Add sealed pack inventory',
+    migrate: addSealedPackState
+  },
+  {
+    version: 9,
+    description: 'Date saved cards from the pack history',
+    migrate: addAcquiredDates
+  }
+];
+
+// ===== RUNNER =====
+
+/**
+ * Schema version of a saved blob
+ * @param {Object} data - Parsed saved data
+ * @returns {number}
+ */
+export function getSchemaVersion(data) {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : LEGACY_SCHEMA_VERSION;
+}
+
+/**
+ * Run every migration newer than the data's version, in order
+ * @param {Object} data - Parsed saved data (not modified)
+ * @param {Object} options - { to, migrations } for tests
+ * @returns {Object} - { data, applied } with the migrated copy and the versions run
+ * @throws {MigrationError} - When a step throws; nothing is partially applied
+ */
+export function runMigrations(data, options = {}) {
+  const to = options.to ?? SCHEMA_VERSION;
+  const migrations = [...(options.migrations || MIGRATIONS)].sort((a, b) => a.version - b.version);
+  const fromVersion = getSchemaVersion(data);
+
+  let working = structuredClone(data);
+  const applied = [];
+
+  for (const step of migrations) {
+    if (step.version <= fromVersion || step.version > to) continue;
+
+    try {
+      working = step.migrate(working) || working;
+    } catch (error) {
+      throw new MigrationError(`Migration to schema v${step.version} failed: ${error.message}`, {
+        fromVersion,
+        failedVersion: step.version,
+        cause: error
+      });
+    }
+
+    working.schemaVersion = step.version;
+    applied.push(step.version);
+    console.log(`  └─ Migrated saved data to v${step.version}: ${step.description}`);
+  }
+
+  return { data: working, applied };
+}
+
+// ===== STEPS =====
+
+/**
+ * v1 → v2: fill in top-level fields older saves may lack
+ */
+export function addMissingFields(data) {
+  if (!isValidObject(data.cards)) data.cards = {};
+  if (!Array.isArray(data.recentPacks)) data.recentPacks = data.lastPack ? [data.lastPack] : [];
+  if (!Array.isArray(data.packHistory)) data.packHistory = [];
+  if (!isValidObject(data.pity)) data.pity = {};
+  if (!isValidObject(data.settings)) data.settings = {};
+  if (!isValidObject(data.crafting)) data.crafting = { dust: 0, log: [] };
+  if (typeof data.points !== 'number') data.points = 0;
+  if (typeof data.last !== 'number') data.last = Date.now();
+
+  return data;
+}
+
+/**
+ * v2 → v3: give every card record the fields the renderer relies on
+ */
+export function normalizeCards(data) {
+  Object.values(data.cards).forEach(setCards => {
+    if (!isValidObject(setCards)) return;
+
+    Object.entries(setCards).forEach(([cardId, card]) => {
+      if (!isValidObject(card)) return;
+
+      card.id = cardId;
+      if (card.fullart === undefined) card.fullart = cardId.endsWith('_fullart');
+      if (card.backImg === undefined) card.backImg = MTG_CARD_BACK;
+      if (typeof card.count !== 'number') card.count = 1;
+      if (!card.name) card.name = 'Unknown Card';
+      if (!card.img) card.img = MTG_CARD_BACK;
+    });
+  });
+
+  return data;
+}
+
+/**
+ * v3 → v4: point timer accrual / clock-change log
+ */
+export function addTimerState(data) {
+  if (!isValidObject(data.timer)) data.timer = { events: [] };
+  if (!Array.isArray(data.timer.events)) data.timer.events = [];
+
+  return data;
+}
+
+/**
+ * v4 → v5: daily bonus / login streak tracking
+ */
+export function addDailyState(data) {
+  if (!isValidObject(data.daily)) data.daily = { lastDay: null, streak: 0 };
+  if (typeof data.daily.streak !== 'number') data.daily.streak = 0;
+
+  return data;
+}
+
+/**
+ * v5 → v6: missions and achievements; lifetime stats start from the pack history
+ */
+export function addProgressState(data) {
+  if (isValidObject(data.progress)) return data;
+
+  const packs = Array.isArray(data.packHistory) ? data.packHistory : [];
+  const packCards = pack => (Array.isArray(pack?.cards) ? pack.cards : []);
+
+  data.progress = {
+    day: null,
+    missions: [],
+    stats: {
+      packsOpened: packs.length,
+      godPacks: packs.filter(pack => packCards(pack).some(card => card?.isGodPack)).length,
+      mythicsPulled: packs.flatMap(packCards).filter(card => card?.rarity === 'mythic').length
+    },
+    achievements: {}
+  };
+
+  return data;
+}
+
+/**
+ * v6 → v7: claimed set milestones and pack tokens
+ */
+export function addMilestoneState(data) {
+  if (!isValidObject(data.milestones)) data.milestones = {};
+  if (!isValidObject(data.tokens)) data.tokens = { fullArtPack: 0 };
+
+  return data;
+}
+
+/**
+ * v7 → v8: unopened packs per set
+ */
+export function addSealedPackState(data) {
+  if (!isValidObject(data.sealedPacks)) data.sealedPacks = {};
+
+  return data;
+}
+
+/**
+ * v8 → v9: when each saved card was first pulled, as far as the pack history
+ * goes back (card details need the set's Scryfall data; see backfillCardMetadata)
+ */
+export function addAcquiredDates(data) {
+  const packs = Array.isArray(data.packHistory) ? data.packHistory : [];
+  const firstPulled = {};
+
+  packs.forEach(pack => {
+    if (!pack?.setCode || !Array.isArray(pack.cards)) return;
+    pack.cards.forEach(card => {
+      const key = `${pack.setCode}:${card?.id}`;
+      if (pack.openedAt && !(firstPulled[key] <= pack.openedAt)) firstPulled[key] = pack.openedAt;
+    });
+  });
+
+  Object.entries(isValidObject(data.cards) ? data.cards : {}).forEach(([setCode, setCards]) => {
+    Object.entries(isValidObject(setCards) ? setCards : {}).forEach(([cardId, card]) => {
+      const acquiredAt = firstPulled[`${setCode}:${cardId}`];
+      if (isValidObject(card) && !card.acquiredAt && acquiredAt) card.acquiredAt = acquiredAt;
+    });
+  });
+
+  return data;
+}
+
+// ===== CARD METADATA BACKFILL =====
+// Runs when a set loads, since it needs the set's Scryfall cards
+
+/**
+ * Metadata for a set's saved cards recorded before CARD_METADATA_VERSION
+ * @param {Object} ownedCards - Saved cards of the set
+ * @param {Array} setCards - The set's Scryfall cards (every pool)
+ * @returns {Object} - { [cardId]: metadata } for the cards that need it and were found
+ */
+export function backfillCardMetadata(ownedCards, setCards) {
+  const byId = new Map(setCards.map(card => [card.id, card]));
+  const updates = {};
+
+  Object.entries(ownedCards).forEach(([cardId, record]) => {
+    if (record.metadataVersion >= CARD_METADATA_VERSION) return;
+
+    const card = byId.get(getBaseCardId(cardId))
+      || setCards.find(c => c.name === record.name && c.collector_number === record.collectorNum);
+    if (card) updates[cardId] = getCardMetadata(card);
+  });
+
+  return updates;
+}
+
+function isValidObject(obj) {
+  return Boolean(obj) && typeof obj === 'object';
+}
@@ -0,0 +1,152 @@
+/**
+ * MTG Pocket - Set Completion Milestones
+ *
+ * Each set pays out once as every rarity, and the set overall, passes the
+ * MILESTONE_CONFIG thresholds (25/50/75/100% of unique card names owned). Rewards
+ * are points, sealed packs of the set and, for a finished set, a token that
+ * opens a pack with a guaranteed full-art. Claims and the last known completion are saved per
+ * set, so badges show in the carousel and dropdown without loading the set.
+ * Completion needs the set's full card list, so only the loaded set is
+ * checked - on collection changes and whenever a set finishes loading.
+ */
+
+import { MILESTONE_CONFIG } from './constants.js';
+import {
+  getLoadedSet,
+  getAllCards,
+  getSetCards,
+  getSetMilestones,
+  claimSetMilestones,
+  addPoints,
+  addTokens,
+  batchWrites
+} from './state.js';
+import { calculateCollectionStats } from './utils.js';
+import { grantSealedPacks } from './sealed-packs.js';
+
+export const MILESTONE_TRACKS = ['common', 'uncommon', 'rare', 'mythic', 'overall'];
+
+// ===== SETUP =====
+
+/**
+ * Check milestones whenever the collection changes (after initializeState)
+ */
+export function initMilestones() {
+  document.addEventListener('collectionChanged', () => checkSetMilestones());
+}
+
+// ===== COMPLETION =====
+
+/**
+ * Owned / total unique cards per rarity and overall
+ * @param {Object} ownedCards - Saved cards of the set
+ * @param {Array} allCards - The set's card list
+ * @returns {Object} - { [track]: { owned, total } }
+ */
+export function getSetCompletion(ownedCards, allCards) {
+  const stats = calculateCollectionStats(ownedCards, allCards);
+  const rarities = Object.values(stats);
+
+  return {
+    ...stats,
+    overall: {
+      owned: rarities.reduce((sum, rarity) => sum + rarity.owned, 0),
+      total: rarities.reduce((sum, rarity) => sum + rarity.total, 0)
+    }
+  };
+}
+
+/**
+ * Overall completion as a whole percent (rounded down, so 100 means complete)
+ * @param {Object} completion - From getSetCompletion()
+ * @returns {number}
+ */
+export function getCompletionPercent(completion) {
+  const { owned, total } = completion.overall;
+  return total > 0 ? Math.floor((owned / total) * 100) : 0;
+}
+
+/**
+ * Milestones a completion has reached (claimed or not)
+ * @param {Object} completion - From getSetCompletion()
+ * @returns {Array} - { key, track, threshold, reward }
+ */
+export function getReachedMilestones(completion) {
+  return MILESTONE_TRACKS.flatMap(track => {
+    const { owned, total } = completion[track] || { owned: 0, total: 0 };
+    if (total === 0) return [];
+
+    const rewards = MILESTONE_CONFIG.rewards[track === 'overall' ? 'overall' : 'rarity'];
+    return MILESTONE_CONFIG.thresholds
+      .filter(threshold => owned * 100 >= threshold * total)
+      .map(threshold => ({ key: `${track}:${threshold}`, track, threshold, reward: rewards[threshold] || {} }));
+  });
+}
+
+// ===== CLAIMING =====
+
+/**
+ * Claim every milestone the loaded set has newly reached
+ * @returns {Array} - Milestones claimed by this call
+ */
+export function checkSetMilestones() {
+  const setCode = getLoadedSet();
+  const allCards = getAllCards();
+  if (!setCode || allCards.length === 0) return [];
+
+  const completion = getSetCompletion(getSetCards(setCode), allCards);
+  const percent = getCompletionPercent(completion);
+  const { claimed, completion: savedPercent } = getSetMilestones(setCode);
+  const newMilestones = getReachedMilestones(completion).filter(milestone => !claimed[milestone.key]);
+
+  if (newMilestones.length === 0) {
+    if (percent !== savedPercent) claimSetMilestones(setCode, [], percent);
+    return [];
+  }
+
+  batchWrites(() => {
+    claimSetMilestones(setCode, newMilestones.map(milestone => milestone.key), percent);
+
+    const points = newMilestones.reduce((sum, milestone) => sum + (milestone.reward.points || 0), 0);
+    const tokens = newMilestones.reduce((sum, milestone) => sum + (milestone.reward.fullArtTokens || 0), 0);
+    const sealedPacks = newMilestones.reduce((sum, milestone) => sum + (milestone.reward.sealedPacks || 0), 0);
+    if (points > 0) addPoints(points);
+    if (tokens > 0) addTokens('fullArtPack', tokens);
+    if (sealedPacks > 0) grantSealedPacks(setCode, sealedPacks, 'reward');
+  });
+
+  newMilestones.forEach(milestone => {
+    console.log(`🏅 ${setCode.toUpperCase()} milestone: ${milestone.track} ${milestone.threshold}%`);
+    document.dispatchEvent(new CustomEvent('milestoneReached', { detail: { setCode, ...milestone } }));
+  });
+  return newMilestones;
+}
+
+export function describeMilestone(milestone) {
+  const track = milestone.track === 'overall' ? 'the set' : `${milestone.track}s`;
+  return `${milestone.threshold}% of ${track}`;
+}
+
+export function describeReward(reward) {
+  return [
+    reward.points ? `+${reward.points} points` : '',
+    reward.sealedPacks ? `${reward.sealedPacks} sealed pack${reward.sealedPacks === 1 ? '' : 's'}` : '',
+    reward.fullArtTokens ? `${reward.fullArtTokens} full-art pack token` : ''
+  ].filter(Boolean).join(' and ');
+}
+
+// ===== BADGES =====
+
+/**
+ * Highest overall milestone claimed for a set
+ * @param {string} setCode - The set code
+ * @returns {Object|null} - { icon, threshold, completion }
+ */
+export function getSetBadge(setCode) {
+  const { claimed, completion } = getSetMilestones(setCode);
+  const threshold = [...MILESTONE_CONFIG.thresholds]
+    .reverse()
+    .find(value => claimed[`overall:${value}`]);
+
+  return threshold ? { icon: MILESTONE_CONFIG.badges[threshold], threshold, completion } : null;
+}
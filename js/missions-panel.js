@@ -0,0 +1,64 @@
+/**
+ * MTG Pocket - Missions Panel
+ *
+ * Today's missions and achievement progress (logic lives in missions.js).
+ */
+
+import { ensureDailyMissions, describeMission, getAchievementProgress } from './missions.js';
+import { createElement } from './utils.js';
+import { showPanelModal } from './panel-modal.js';
+
+/**
+ * Open the missions & achievements panel
+ */
+export function showMissionsPanel() {
+  const container = createElement('div', 'missionsPanel');
+
+  container.appendChild(createElement('h3', [], 'Daily Missions'));
+  container.appendChild(createElement('p', 'panelNote', 'New missions every day. Rewards are added as soon as a mission is done.'));
+  ensureDailyMissions().forEach(mission => {
+    container.appendChild(createProgressRow({
+      title: describeMission(mission),
+      meta: mission.completedAt ? `✅ +${mission.reward} earned` : `+${mission.reward} points`,
+      current: mission.progress,
+      goal: mission.goal,
+      done: Boolean(mission.completedAt)
+    }));
+  });
+
+  const achievements = getAchievementProgress();
+  const unlockedCount = achievements.filter(achievement => achievement.unlocked).length;
+  container.appendChild(createElement('h3', [], `Achievements (${unlockedCount}/${achievements.length})`));
+  achievements.forEach(achievement => {
+    container.appendChild(createProgressRow({
+      title: `${achievement.unlocked ? '🏆' : '🔒'} ${achievement.title}`,
+      meta: achievement.unlocked
+        ? `Unlocked ${new Date(achievement.unlocked.unlockedAt).toLocaleDateString()}`
+        : [achievement.description, achievement.detail].filter(Boolean).join(' · '),
+      current: achievement.unlocked ? achievement.goal : achievement.current,
+      goal: achievement.goal,
+      done: Boolean(achievement.unlocked)
+    }));
+  });
+
+  showPanelModal('Missions & Achievements', container);
+}
+
+function createProgressRow({ title, meta, current, goal, done }) {
+  const row = createElement('div', ['historyRow', 'missionRow']);
+  row.classList.toggle('done', done);
+
+  const info = createElement('div', 'historyInfo');
+  info.appendChild(createElement('div', 'historyTitle', title));
+  info.appendChild(createElement('div', 'panelNote', meta));
+
+  const bar = createElement('div', 'progress');
+  const fill = document.createElement('div');
+  fill.style.width = `${Math.round((current / goal) * 100)}%`;
+  bar.appendChild(fill);
+  info.appendChild(bar);
+
+  row.appendChild(info);
+  row.appendChild(createElement('div', 'missionCount', `${current}/${goal}`));
+  return row;
+}
@@ -0,0 +1,302 @@
+/**
+ * MTG Pocket - Missions & Achievements
+ *
+ * Daily missions ("open 3 packs", "pull a mythic from BLB") reward points and
+ * are redrawn each local day; achievements are permanent milestones. Progress
+ * comes from events on document:
+ * - `packOpened` (pack-opening.js) - pack counts, pulls, new cards
+ * - `carouselSetChange` - sets browsed
+ * - `collectionChanged` (state.js) - collection-based achievements
+ * Completing a mission fires `missionCompleted`, unlocking an achievement
+ * fires `achievementUnlocked` (detail: the mission / achievement).
+ */
+
+import { MISSIONS_CONFIG } from './constants.js';
+import {
+  getProgress,
+  setDailyMissions,
+  updateMission,
+  addProgressStats,
+  unlockAchievement,
+  addPoints,
+  getData,
+  getCurrentSet,
+  getLastPack,
+  getLoadedSet,
+  getAllCards,
+  getSetCards,
+  batchWrites
+} from './state.js';
+import { getDayKey } from './economy.js';
+import { createRng } from './rng.js';
+
+// ===== DEFINITIONS =====
+
+/**
+ * Daily mission types; goals and rewards come from MISSIONS_CONFIG.daily
+ * countPack(pack, setCode, mission) is how much one opened pack advances it
+ */
+export const MISSION_TYPES = {
+  openPacks: {
+    describe: mission => `Open ${mission.goal} packs`,
+    countPack: () => 1
+  },
+  pullMythic: {
+    describe: () => 'Pull a mythic',
+    countPack: pack => pack.filter(card => card.rarity === 'mythic').length
+  },
+  pullMythicFromSet: {
+    needsSet: true,
+    describe: mission => `Pull a mythic from ${mission.setCode.toUpperCase()}`,
+    countPack: (pack, setCode, mission) => (setCode === mission.setCode
+      ? pack.filter(card => card.rarity === 'mythic').length
+      : 0)
+  },
+  pullFullArt: {
+    describe: () => 'Pull a full-art card',
+    countPack: pack => pack.filter(card => card.fullart).length
+  },
+  newCards: {
+    describe: mission => `Add ${mission.goal} new cards to your collection`,
+    countPack: pack => pack.filter(card => card.isNew).length
+  },
+  browseSets: {
+    describe: mission => `Browse ${mission.goal} different sets`,
+    countPack: () => 0
+  }
+};
+
+/**
+ * Permanent achievements; current() measures progress toward goal
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'firstPack',
+    title: 'Fresh Cardboard',
+    description: 'Open your first pack',
+    goal: 1,
+    current: ({ stats }) => stats.packsOpened || 0
+  },
+  {
+    id: 'hundredPacks',
+    title: 'Pack Rat',
+    description: 'Open 100 packs',
+    goal: 100,
+    current: ({ stats }) => stats.packsOpened || 0
+  },
+  {
+    id: 'godPack',
+    title: 'Divine Intervention',
+    description: 'Pull a god pack',
+    goal: 1,
+    current: ({ stats }) => stats.godPacks || 0
+  },
+  {
+    id: 'mythicHunter',
+    title: 'Mythic Hunter',
+    description: 'Pull 25 mythics',
+    goal: 25,
+    current: ({ stats }) => stats.mythicsPulled || 0
+  },
+  {
+    id: 'curator',
+    title: 'Curator',
+    description: 'Own 10 masterpieces',
+    goal: 10,
+    current: ({ cards }) => Object.values(cards)
+      .flatMap(setCards => Object.values(setCards))
+      .filter(card => card.masterpiece).length
+  },
+  {
+    id: 'commonGround',
+    title: 'Common Ground',
+    description: 'Complete all commons in a set',
+    goal: 1,
+    // Only the loaded set's card list is known, so it's checked per set as you view it
+    current: ({ setCommons, ownedInSet }) => (setCommons.length > 0 && setCommons.every(card => ownedInSet.has(card.id)) ? 1 : 0),
+    detail: ({ setCommons, ownedInSet }) => setCommons.length > 0
+      ? `${setCommons.filter(card => ownedInSet.has(card.id)).length}/${setCommons.length} commons in this set`
+      : ''
+  }
+];
+
+// ===== SETUP =====
+
+/**
+ * Start tracking progress (after initializeState)
+ */
+export function initMissions() {
+  document.addEventListener('packOpened', event => {
+    recordPackProgress(event.detail.cards, event.detail.setCode);
+  });
+  document.addEventListener('carouselSetChange', event => recordSetVisit(event.detail?.setCode));
+  document.addEventListener('collectionChanged', () => checkAchievements());
+}
+
+// ===== DAILY MISSIONS =====
+
+/**
+ * Draw a day's missions (the same day and set always give the same missions)
+ * @param {string} day - Local date, YYYY-MM-DD
+ * @param {string|null} setCode - Set for set-specific missions (skipped when null)
+ * @returns {Array} - Missions { id, type, goal, reward, setCode, progress }
+ */
+export function generateDailyMissions(day, setCode) {
+  const rng = createRng(Number(day.replace(/-/g, '')));
+  const types = Object.keys(MISSIONS_CONFIG.daily)
+    .filter(type => MISSION_TYPES[type] && (setCode || !MISSION_TYPES[type].needsSet));
+
+  const missions = [];
+  while (missions.length < MISSIONS_CONFIG.dailyCount && types.length > 0) {
+    const [type] = types.splice(Math.floor(rng() * types.length), 1);
+    missions.push({
+      id: `${day}:${type}`,
+      type,
+      ...MISSIONS_CONFIG.daily[type],
+      setCode: MISSION_TYPES[type].needsSet ? setCode : null,
+      progress: 0
+    });
+  }
+  return missions;
+}
+
+/**
+ * Replace yesterday's missions once the day changes
+ * @param {number} [now]
+ * @returns {Array} - Today's missions
+ */
+export function ensureDailyMissions(now = Date.now()) {
+  const today = getDayKey(now);
+  const progress = getProgress();
+
+  // Same day, or the clock is behind the current missions
+  if (progress.day && today <= progress.day) return progress.missions;
+
+  const setCode = getLastPack() || getCurrentSet();
+  setDailyMissions(today, generateDailyMissions(today, setCode));
+  console.log('🗓️ New daily missions for', today);
+  return getProgress().missions;
+}
+
+export function describeMission(mission) {
+  return MISSION_TYPES[mission.type]?.describe(mission) || mission.type;
+}
+
+/**
+ * Count an opened pack toward missions, lifetime stats and achievements
+ * @param {Array} pack - Reveal cards from openPack()
+ * @param {string} setCode - The pack's set
+ * @returns {Array} - Missions completed by this pack
+ */
+export function recordPackProgress(pack, setCode) {
+  const completed = [];
+
+  batchWrites(() => {
+    ensureDailyMissions();
+
+    addProgressStats({
+      packsOpened: 1,
+      godPacks: pack.some(card => card.isGodPack) ? 1 : 0,
+      mythicsPulled: pack.filter(card => card.rarity === 'mythic').length
+    });
+
+    getProgress().missions.forEach(mission => {
+      const amount = MISSION_TYPES[mission.type]?.countPack(pack, setCode, mission) || 0;
+      if (advanceMission(mission, amount)) completed.push(mission);
+    });
+  });
+
+  checkAchievements();
+  return completed;
+}
+
+/**
+ * Count a set as browsed for "browse N sets" missions
+ * @param {string} setCode - Set shown
+ */
+export function recordSetVisit(setCode) {
+  if (!setCode) return;
+  ensureDailyMissions();
+
+  getProgress().missions
+    .filter(mission => mission.type === 'browseSets' && !mission.completedAt)
+    .forEach(mission => {
+      const seen = mission.seen || [];
+      if (seen.includes(setCode)) return;
+
+      updateMission(mission.id, { seen: [...seen, setCode] });
+      advanceMission(mission, 1);
+    });
+}
+
+/**
+ * Add progress and pay the reward on completion
+ * @returns {boolean} - Whether this completed the mission
+ */
+function advanceMission(mission, amount) {
+  if (amount <= 0 || mission.completedAt) return false;
+
+  const progress = Math.min(mission.goal, mission.progress + amount);
+  const done = progress >= mission.goal;
+  updateMission(mission.id, done ? { progress, completedAt: Date.now() } : { progress });
+
+  if (!done) return false;
+
+  addPoints(mission.reward);
+  console.log(`🎯 Mission complete: ${describeMission(mission)} (+${mission.reward})`);
+  document.dispatchEvent(new CustomEvent('missionCompleted', { detail: mission }));
+  return true;
+}
+
+// ===== ACHIEVEMENTS =====
+
+function getAchievementContext() {
+  const progress = getProgress();
+  const loadedSet = getLoadedSet();
+
+  return {
+    stats: progress.stats,
+    cards: getData().cards,
+    setCode: loadedSet,
+    setCommons: loadedSet ? getAllCards().filter(card => card.rarity === 'common') : [],
+    ownedInSet: new Set(Object.keys(getSetCards(loadedSet)))
+  };
+}
+
+/**
+ * Progress toward every achievement
+ * @returns {Array} - { id, title, description, goal, current, detail, unlocked }
+ */
+export function getAchievementProgress() {
+  const context = getAchievementContext();
+  const { achievements } = getProgress();
+
+  return ACHIEVEMENTS.map(achievement => ({
+    id: achievement.id,
+    title: achievement.title,
+    description: achievement.description,
+    goal: achievement.goal,
+    current: Math.min(achievement.goal, achievement.current(context)),
+    detail: achievement.detail?.(context) || '',
+    unlocked: achievements[achievement.id] || null
+  }));
+}
+
+/**
+ * Unlock every achievement whose goal is met
+ * @returns {Array} - Achievements unlocked by this call
+ */
+export function checkAchievements() {
+  const context = getAchievementContext();
+  const { achievements } = getProgress();
+
+  const unlocked = ACHIEVEMENTS.filter(achievement =>
+    !achievements[achievement.id] && achievement.current(context) >= achievement.goal);
+
+  unlocked.forEach(achievement => {
+    unlockAchievement(achievement.id, { unlockedAt: Date.now(), setCode: context.setCode });
+    console.log('🏆 Achievement unlocked:', achievement.title);
+    document.dispatchEvent(new CustomEvent('achievementUnlocked', { detail: achievement }));
+  });
+  return unlocked;
+}
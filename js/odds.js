@@ -0,0 +1,185 @@
+/**
+ * MTG Pocket - Odds Engine
+ *
+ * Single source of truth for pull rates. Rarity thresholds are derived from
+ * weights (RARITY_WEIGHTS by default), sets can override any rate through
+ * ODDS_OVERRIDES and pack template slots can override rarity weights.
+ * Pack generation and the "Pull rates" screen both read from here.
+ */
+
+import {
+  RARITY_WEIGHTS,
+  FULLART_BONUS_CHANCE,
+  GODPACK_CHANCE,
+  MASTERPIECE_CHANCE,
+  ODDS_OVERRIDES,
+  CARD_RARITIES
+} from './constants.js';
+import { getPackTemplate, getSlotPool } from './pack-templates.js';
+
+// Rarest first, so cumulative thresholds read like the original table
+const RARITY_ROLL_ORDER = ['mythic', 'rare', 'uncommon', 'common'];
+
+// Fallback order when a set has no cards of the rolled rarity
+const RARITY_FALLBACK_ORDER = ['common', 'uncommon', 'rare', 'mythic'];
+
+const OUTCOME_LABELS = {
+  fullArt: 'Full-art bonus card',
+  masterpiece: 'Masterpiece (secret)',
+  spotlight: 'Story spotlight bonus'
+};
+
+// ===== RARITY ROLLS =====
+
+/**
+ * Derive cumulative percentage thresholds from relative weights
+ * @param {Object} weights - e.g. { common: 70, uncommon: 20, rare: 7, mythic: 3 }
+ * @returns {Array<{rarity: string, threshold: number}>} - Rarest first, last threshold is 100
+ */
+export function getRarityThresholds(weights = RARITY_WEIGHTS) {
+  const rarities = RARITY_ROLL_ORDER.filter(rarity => weights[rarity] > 0);
+  const total = rarities.reduce((sum, rarity) => sum + weights[rarity], 0);
+  let cumulative = 0;
+
+  return rarities.map(rarity => {
+    cumulative += (weights[rarity] / total) * 100;
+    return { rarity, threshold: cumulative };
+  });
+}
+
+/**
+ * Roll a rarity
+ * @param {Object} [weights] - Relative weights per rarity (default RARITY_WEIGHTS)
+ * @param {Function} [rng] - Random source (default Math.random)
+ * @returns {string} - Rarity
+ */
+export function rollRarity(weights = RARITY_WEIGHTS, rng = Math.random) {
+  const roll = rng() * 100;
+  const thresholds = getRarityThresholds(weights);
+  const hit = thresholds.find(({ threshold }) => roll < threshold);
+  return (hit || thresholds[thresholds.length - 1]).rarity;
+}
+
+/**
+ * Resolve the rarity actually pulled when the rolled one has no cards
+ * @param {string} rarity - Rolled rarity
+ * @param {Set<string>} available - Rarities present in the pool
+ * @returns {string|null} - Rarity to pull from, or null when the pool is empty
+ */
+export function resolveRarity(rarity, available) {
+  if (available.has(rarity)) return rarity;
+  return RARITY_FALLBACK_ORDER.find(fallback => available.has(fallback)) || null;
+}
+
+// ===== SET ODDS =====
+
+/**
+ * Get the odds for a set (defaults merged with ODDS_OVERRIDES)
+ * @param {string} setCode - The set code
+ * @returns {Object} - { rarityWeights, fullArtChance, godPackChance, masterpieceChance }
+ */
+export function getSetOdds(setCode) {
+  const override = ODDS_OVERRIDES[setCode?.toLowerCase()] || {};
+
+  return {
+    rarityWeights: { ...RARITY_WEIGHTS, ...override.rarityWeights },
+    fullArtChance: override.fullArtChance ?? FULLART_BONUS_CHANCE,
+    godPackChance: override.godPackChance ?? GODPACK_CHANCE,
+    masterpieceChance: override.masterpieceChance ?? MASTERPIECE_CHANCE
+  };
+}
+
+/**
+ * Rarity weights a template slot rolls with
+ * A pity mythicBoost (share of the total) is added to slots that can roll mythics.
+ */
+export function getSlotRarityWeights(slot, odds) {
+  const weights = slot.rarityWeights || odds.rarityWeights;
+  if (!odds.mythicBoost || !(weights.mythic > 0)) return weights;
+
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return { ...weights, mythic: weights.mythic + total * odds.mythicBoost };
+}
+
+/**
+ * Probability that a template slot appears
+ * Slot chances are numbers or the name of a set odds field (e.g. 'fullArtChance').
+ */
+export function getSlotChance(slot, odds) {
+  if (slot.chance === undefined) return 1;
+  return typeof slot.chance === 'string' ? odds[slot.chance] ?? 0 : slot.chance;
+}
+
+// ===== PULL RATES =====
+
+/**
+ * Rarity distribution a slot really produces from a pool, including fallbacks
+ * @param {Object} weights - Slot rarity weights
+ * @param {Array} pool - Cards the slot draws from
+ * @returns {Object} - Probability per rarity
+ */
+export function getEffectiveRarityOdds(weights, pool) {
+  const available = new Set(pool.map(card => card.rarity));
+  const thresholds = getRarityThresholds(weights);
+  const result = Object.fromEntries(CARD_RARITIES.map(rarity => [rarity, 0]));
+  let previous = 0;
+
+  thresholds.forEach(({ rarity, threshold }) => {
+    const resolved = resolveRarity(rarity, available);
+    if (resolved) result[resolved] += (threshold - previous) / 100;
+    previous = threshold;
+  });
+
+  return result;
+}
+
+/**
+ * Calculate exact pull rates for a set's packs
+ * @param {string} setCode - The set code
+ * @param {Object} pools - { all, fullArt, masterpiece, spotlight }
+ * @returns {Object} - { templateName, slots, rarities, outcomes }
+ */
+export function calculatePullRates(setCode, pools) {
+  const odds = getSetOdds(setCode);
+  const template = getPackTemplate(setCode);
+  const godPackChance = pools.fullArt.length > 0 ? odds.godPackChance : 0;
+  const regularChance = 1 - godPackChance;
+
+  const slotChances = {};
+  const expected = Object.fromEntries(CARD_RARITIES.map(rarity => [rarity, 0]));
+  const missChance = Object.fromEntries(CARD_RARITIES.map(rarity => [rarity, 1]));
+  const slots = [];
+  const outcomes = [{ label: 'God pack (all full-art)', probability: godPackChance }];
+
+  template.slots.forEach(slot => {
+    const pool = getSlotPool(slot, pools);
+    const count = slot.count || 1;
+    const requiredChance = slot.requires ? slotChances[slot.requires] || 0 : 1;
+    const chance = pool.length > 0 ? getSlotChance(slot, odds) * requiredChance : 0;
+    slotChances[slot.id] = chance;
+
+    const rollsRarity = (slot.pool || 'main') === 'main';
+    const rarities = rollsRarity ? getEffectiveRarityOdds(getSlotRarityWeights(slot, odds), pool) : null;
+
+    if (rarities) {
+      CARD_RARITIES.forEach(rarity => {
+        expected[rarity] += count * chance * rarities[rarity];
+        missChance[rarity] *= (1 - chance * rarities[rarity]) ** count;
+      });
+    } else if (slot.flag || slot.variant) {
+      outcomes.push({
+        label: OUTCOME_LABELS[slot.pool] || slot.id,
+        probability: regularChance * chance
+      });
+    }
+
+    slots.push({ id: slot.id, pool: slot.pool || 'main', count, chance, foil: !!slot.foil, rarities });
+  });
+
+  const rarities = Object.fromEntries(CARD_RARITIES.map(rarity => [rarity, {
+    expected: regularChance * expected[rarity],
+    atLeastOne: regularChance * (1 - missChance[rarity])
+  }]));
+
+  return { templateName: template.name, slots, rarities, outcomes };
+}
@@ -12,6 +12,7 @@
  */
 
 import { getRecentPacks, setCurrentSet, getCurrentSet, getSetMetadata } from './state.js';
+import { getSetBadge } from './milestones.js';
 
 /**
  * Render the pack carousel
@@ -54,6 +55,36 @@ export function renderPackCarousel() {
   console.log('✅ === renderPackCarousel COMPLETE ===\n');
 }
 
+/**
+ * Replace the carousel with a load error and a retry button
+ * @param {string} message - Player-facing error message
+ * @param {Function} onRetry - Async retry handler
+ */
+export function renderCarouselError(message, onRetry) {
+  const carousel = document.getElementById('packCarousel');
+  if (!carousel) return;
+  
+  carousel.innerHTML = '';
+  
+  const errorDiv = document.createElement('div');
+  errorDiv.className = 'loadError';
+  
+  const text = document.createElement('p');
+  text.textContent = `⚠️ ${message}`;
+  
+  const retryBtn = document.createElement('button');
+  retryBtn.textContent = '🔄 Retry';
+  retryBtn.onclick = async () => {
+    retryBtn.disabled = true;
+    retryBtn.textContent = 'Retrying...';
+    await onRetry();
+  };
+  
+  errorDiv.appendChild(text);
+  errorDiv.appendChild(retryBtn);
+  carousel.appendChild(errorDiv);
+}
+
 /**
  * Build the display array [left, center, right]
  * Center is always currentSet, sides are recent history
@@ -154,6 +185,7 @@ function createPackElement(setCode, position) {
   contentDiv.appendChild(icon);
   packDiv.appendChild(bgDiv);
   packDiv.appendChild(contentDiv);
+  renderPackBadge(packDiv, setCode);
   
   // Click handlers
   if (position === 'center') {
@@ -188,6 +220,31 @@ function createPackElement(setCode, position) {
   return packDiv;
 }
 
+/**
+ * Show the set's completion milestone badge on a pack
+ */
+function renderPackBadge(packDiv, setCode) {
+  packDiv.querySelector('.packBadge')?.remove();
+  
+  const badge = getSetBadge(setCode);
+  if (!badge) return;
+  
+  const badgeDiv = document.createElement('div');
+  badgeDiv.className = 'packBadge';
+  badgeDiv.textContent = `${badge.icon} ${badge.completion}%`;
+  badgeDiv.title = `${badge.threshold}% completion milestone reached`;
+  packDiv.appendChild(badgeDiv);
+}
+
+/**
+ * Update milestone badges on the packs already shown
+ */
+export function refreshPackBadges() {
+  document.querySelectorAll('#packCarousel .packImage').forEach(packDiv => {
+    renderPackBadge(packDiv, packDiv.dataset.setCode);
+  });
+}
+
 /**
  * Rotate carousel to bring a side pack to center
  * REFACTORED: Proper async/await sequencing
@@ -0,0 +1,92 @@
+/**
+ * MTG Pocket - Pack History
+ *
+ * Lists opened packs (newest first) from state.data.packHistory and replays
+ * any of them through the pack reveal modal exactly as it was opened. Only the
+ * newest PACK_HISTORY_LIMIT packs are kept, and the panel says so once full.
+ */
+
+import { PACK_HISTORY_LIMIT } from './constants.js';
+import { getPackHistory, getSetMetadata } from './state.js';
+import { createElement } from './utils.js';
+import { showPackModal } from './card-renderer.js';
+import { showPanelModal, closePanelModal } from './panel-modal.js';
+
+const RARITY_ORDER = ['mythic', 'rare', 'uncommon', 'common'];
+
+/**
+ * Open the history panel
+ */
+export function showPackHistory() {
+  const history = getPackHistory();
+  const container = createElement('div', 'packHistory');
+
+  if (history.length === 0) {
+    container.appendChild(createElement('p', 'panelNote', 'No packs opened yet.'));
+  }
+  if (history.length >= PACK_HISTORY_LIMIT) {
+    container.appendChild(createElement('p', 'panelNote', `Only your last ${PACK_HISTORY_LIMIT} packs are kept; older ones are removed as you open more.`));
+  }
+
+  history.forEach(entry => container.appendChild(createHistoryRow(entry)));
+
+  showPanelModal(`Pack History (${history.length})`, container);
+}
+
+/**
+ * Replay a recorded pack in the reveal modal
+ * @param {Object} entry - Pack history entry
+ */
+export function replayHistoryEntry(entry) {
+  if (!entry.cards?.length) return;
+
+  closePanelModal();
+  // The card modal looks cards up in their own set, not the current one
+  const cards = entry.cards.map(card => ({ ...card, setCode: entry.setCode }));
+  showPackModal(cards, cards.some(card => card.isGodPack));
+}
+
+/**
+ * One-line summary of a recorded pack
+ * @param {Object} entry - Pack history entry
+ * @returns {string} - e.g. "1 mythic, 4 common · bonus · 2 new"
+ */
+export function summarizePack(entry) {
+  const cards = entry.cards || [];
+  const counts = RARITY_ORDER
+    .map(rarity => [rarity, cards.filter(card => card.rarity === rarity).length])
+    .filter(([, count]) => count > 0)
+    .map(([rarity, count]) => `${count} ${rarity}`);
+
+  const extras = [];
+  if (cards.some(card => card.isGodPack)) extras.push('🌟 god pack');
+  if (cards.some(card => card.isBonus)) extras.push('bonus');
+  if (cards.some(card => card.isSecret)) extras.push('secret');
+
+  const newCount = cards.filter(card => card.isNew).length;
+  if (newCount > 0) extras.push(`${newCount} new`);
+
+  return [counts.join(', '), ...extras].filter(Boolean).join(' · ');
+}
+
+function createHistoryRow(entry) {
+  const row = createElement('div', 'historyRow');
+
+  const info = createElement('div', 'historyInfo');
+  const setName = getSetMetadata(entry.setCode)?.name || entry.setCode?.toUpperCase();
+  const spent = entry.sealed ? 'sealed pack' : entry.pointsSpent ? `${entry.pointsSpent} pts` : 'free';
+
+  info.appendChild(createElement('div', 'historyTitle', `${setName} — ${new Date(entry.openedAt).toLocaleString()}`));
+  info.appendChild(createElement('div', 'panelNote', entry.cards
+    ? `${summarizePack(entry)} · ${spent}`
+    : `Cards not recorded · seed ${entry.seed}`));
+  row.appendChild(info);
+
+  if (entry.cards?.length) {
+    const replayBtn = createElement('button', 'historyReplay', '▶ Replay');
+    replayBtn.onclick = () => replayHistoryEntry(entry);
+    row.appendChild(replayBtn);
+  }
+
+  return row;
+}
@@ -4,165 +4,435 @@
  * Removed deprecated functions, consolidated pack generation logic.
  */
 
-import { 
-  PACK_COST, 
-  GODPACK_CHANCE, 
-  FULLART_BONUS_CHANCE, 
-  MASTERPIECE_CHANCE,
-  CARD_SUFFIXES
-} from './constants.js';
+import { CARD_SUFFIXES } from './constants.js';
 import { 
   getPoints, 
   subtractPoints, 
   addCard, 
   getCard,
+  getSetCards,
   getCurrentSet,
   getAllCards,
   getFullArtCards,
   getMasterpieceCards,
   getStorySpotlightCards,
   setLastPack,
-  save
+  recordPack,
+  getPackHistory,
+  getPityCounters,
+  setPityCounters,
+  getTokens,
+  addTokens,
+  getSealedPacks,
+  addSealedPacks,
+  batchWrites
 } from './state.js';
-import { rollRarity, getCardImages, randomChance, getRandomElement } from './utils.js';
+import { getCardImages, getCardMetadata, CARD_METADATA_FIELDS, randomChance, getRandomElement } from './utils.js';
+import { getPackTemplate, getSlotPool, hasSlotPool } from './pack-templates.js';
+import { getSetOdds, getSlotChance, getSlotRarityWeights, rollRarity, resolveRarity } from './odds.js';
+import { createRng, generateSeed } from './rng.js';
+import { applyPity, advancePity, createPityCounters, getPityTracks } from './pity.js';
+import { getDuplicateProtection, pickFavoringUnowned, getCompletion } from './duplicate-protection.js';
+import { getPackCost } from './economy.js';
 import { showPackModal } from './card-renderer.js';
 import { startRipAnimation } from './pack-carousel.js';
 
 // ===== PACK OPENING CONTROLLER =====
 
-export function canOpenPack(freeMode) {
-  return freeMode || getPoints() >= PACK_COST;
+/**
+ * @param {boolean} freeMode - Dev free packs
+ * @param {Object} [options] - { fullArtToken } to pay with a full-art pack token,
+ *   { sealed } to open one of the current set's sealed packs
+ */
+export function canOpenPack(freeMode, options = {}) {
+  if (getAllCards().length === 0) return false;
+  if (options.fullArtToken) return getTokens('fullArtPack') > 0 && canGuaranteeFullArt(getCurrentSet());
+  if (options.sealed) return getSealedPacks(getCurrentSet()) > 0;
+  return freeMode || getPoints() >= getPackCost(getCurrentSet());
+}
+
+/**
+ * Whether a full-art token can be spent on a pack of the loaded set: it needs
+ * full-art cards and a template slot for the bonus card
+ * @param {string} setCode - The set code
+ * @returns {boolean}
+ */
+export function canGuaranteeFullArt(setCode) {
+  return getFullArtCards().length > 0 && hasSlotPool(getPackTemplate(setCode), 'fullArt');
 }
 
-export async function openPack(freeMode) {
-  if (!canOpenPack(freeMode)) return;
+/**
+ * Open a pack of the current set
+ * @param {boolean} freeMode - Dev free packs
+ * @param {Object} [options] - { fullArtToken } spends a token instead of points
+ *   for a pack with a guaranteed full-art bonus card; { sealed } opens a sealed
+ *   pack from the inventory (already paid for)
+ * @returns {Promise<Array|undefined>} - Reveal cards, undefined when it can't be opened
+ */
+export async function openPack(freeMode, options = {}) {
+  if (!canOpenPack(freeMode, options)) return;
   
   await startRipAnimation();
   
-  if (!freeMode) subtractPoints(PACK_COST);
-  
   const currentSet = getCurrentSet();
-  const pack = generatePack(currentSet);
+  const useToken = Boolean(options.fullArtToken);
+  const sealed = !useToken && Boolean(options.sealed);
+  const cost = freeMode || useToken || sealed ? 0 : getPackCost(currentSet);
+  let pack;
   
-  setLastPack(currentSet);
-  save();
+  // One storage write for the whole pack
+  batchWrites(() => {
+    if (cost > 0) subtractPoints(cost);
+    if (useToken) addTokens('fullArtPack', -1);
+    if (sealed) addSealedPacks(currentSet, -1);
+    
+    const pity = getPityCounters(currentSet) || createPityCounters();
+    const protection = getDuplicateProtection(currentSet);
+    const { seed, pulls } = generatePack(currentSet, {
+      pity,
+      owned: new Set(Object.keys(getSetCards(currentSet))),
+      protection,
+      guaranteeFullArt: useToken
+    });
+    pack = collectPack(currentSet, pulls);
+    
+    const tracks = getPityTracks({ all: getAllCards(), fullArt: getFullArtCards() }, getPackTemplate(currentSet));
+    setPityCounters(currentSet, advancePity(pity, pulls, tracks));
+    setLastPack(currentSet);
+    recordPack({
+      setCode: currentSet,
+      seed,
+      pity,
+      protection,
+      pointsSpent: cost,
+      ...(useToken && { guaranteeFullArt: true }),
+      ...(sealed && { sealed: true }),
+      cards: pack.map(toHistoryCard)
+    });
+  });
   
   const isGodPack = pack.some(card => card.isGodPack);
   showPackModal(pack, isGodPack);
   
+  // Missions / achievements and anything else tracking opened packs
+  document.dispatchEvent(new CustomEvent('packOpened', {
+    detail: { setCode: currentSet, cards: pack, isGodPack, pointsSpent: cost, sealed }
+  }));
+  
   return pack;
 }
 
+/**
+ * Show the pack a seed produces for the current set without collecting it
+ * @param {number} seed - Seed recorded for an opened pack
+ * @param {Object} [pity] - Pity counters recorded with the pack
+ * @param {Object} [options] - { guaranteeFullArt, protection, owned } as recorded with
+ *   the pack (see getOwnedBeforePack()); without them the current collection and
+ *   duplicate protection settings are used
+ * @returns {Array} - Reveal cards
+ */
+export function replayPack(seed, pity = null, options = {}) {
+  const currentSet = getCurrentSet();
+  const { pulls } = generatePack(currentSet, {
+    seed,
+    pity,
+    owned: options.owned || new Set(Object.keys(getSetCards(currentSet))),
+    protection: options.protection !== undefined ? options.protection : getDuplicateProtection(currentSet),
+    guaranteeFullArt: options.guaranteeFullArt
+  });
+  const pack = pulls.map(pull => toRevealCard(pull, false));
+  
+  showPackModal(pack, pack.some(card => card.isGodPack));
+  return pack;
+}
+
+/**
+ * Card ids owned just before a recorded pack was opened: the set's collection
+ * without the new cards of that pack and of every later pack of the set
+ * (cards crafted away since then can't be put back)
+ * @param {Object} entry - Pack history entry
+ * @returns {Set<string>}
+ */
+export function getOwnedBeforePack(entry) {
+  const owned = new Set(Object.keys(getSetCards(entry.setCode)));
+  const history = getPackHistory();
+  const index = history.indexOf(entry);
+  const packs = index >= 0 ? history.slice(0, index + 1) : [entry];
+
+  packs
+    .filter(pack => pack.setCode === entry.setCode)
+    .forEach(pack => pack.cards.forEach(card => {
+      if (card.isNew) owned.delete(card.id);
+    }));
+  return owned;
+}
+
 // ===== PACK GENERATION =====
+// Generation is pure: the same set, pools and seed always give the same pulls.
+// Nothing touches the collection until collectPack().
 
-function generatePack(setCode) {
-  const cardPools = {
+/**
+ * Generate a pack
+ * With duplicate protection the result also depends on `owned`, so a replay
+ * passes the ids owned before the pack (getOwnedBeforePack()).
+ * @param {string} setCode - The set code
+ * @param {Object} options - { seed, pools, pity, owned, protection, guaranteeFullArt }
+ *   Defaults: fresh seed, current set pools, no pity, no duplicate protection.
+ *   owned is a Set of owned card ids; protection comes from getDuplicateProtection().
+ *   guaranteeFullArt always fills the full-art bonus slot (pack tokens).
+ * @returns {Object} - { seed, pulls } where pulls are { slot, cardId, data, flags }
+ */
+export function generatePack(setCode, options = {}) {
+  const seed = options.seed ?? generateSeed();
+  const cardPools = options.pools || {
     all: getAllCards(),
     fullArt: getFullArtCards(),
     masterpiece: getMasterpieceCards(),
     spotlight: getStorySpotlightCards()
   };
+  const owned = options.owned || new Set();
+  
+  // Everything a pack draw depends on
+  const ctx = {
+    pools: cardPools,
+    odds: withFullArtGuarantee(applyPity(getSetOdds(setCode), options.pity), options.guaranteeFullArt),
+    rng: createRng(seed),
+    protection: options.protection || null,
+    owned,
+    seen: new Set(owned) // Owned plus pulled earlier in this pack
+  };
   
-  const isGodPack = randomChance(GODPACK_CHANCE) && cardPools.fullArt.length > 0;
+  const isGodPack = randomChance(ctx.odds.godPackChance, ctx.rng) && cardPools.fullArt.length > 0;
   
   console.log('=== GENERATING PACK ===');
+  console.log('Seed:', seed);
   console.log('Is God Pack:', isGodPack);
   
-  const pack = isGodPack 
-    ? generateGodPack(setCode, cardPools)
-    : generateRegularPack(setCode, cardPools);
+  const pulls = isGodPack 
+    ? generateGodPack(ctx)
+    : generateRegularPack(setCode, ctx);
   
-  console.log('Pack generated with', pack.length, 'cards');
+  console.log('Pack generated with', pulls.length, 'cards');
   console.log('=== END GENERATING PACK ===');
   
-  return pack;
+  return { seed, pulls };
+}
+
+function withFullArtGuarantee(odds, guaranteeFullArt) {
+  return guaranteeFullArt ? { ...odds, fullArtChance: 1 } : odds;
 }
 
-function generateGodPack(setCode, pools) {
-  const pack = [];
+/**
+ * Add generated pulls to the collection
+ * @param {string} setCode - The set code
+ * @param {Array} pulls - Pulls from generatePack()
+ * @returns {Array} - Reveal cards (card data + reveal flags + isNew)
+ */
+export function collectPack(setCode, pulls) {
+  return pulls.map(pull => {
+    const isNew = !isCardOwned(setCode, pull.cardId);
+    ensureCardExists(setCode, pull.cardId, { ...pull.data });
+    return toRevealCard(pull, isNew);
+  });
+}
+
+function toRevealCard(pull, isNew) {
+  return { ...pull.data, id: pull.cardId, ...pull.flags, isNew };
+}
+
+/**
+ * Reveal card as stored in pack history (no collection count)
+ */
+function toHistoryCard(card) {
+  const { count, ...historyCard } = card;
+  // Card details stay on the saved card; history keeps what the reveal shows
+  CARD_METADATA_FIELDS.forEach(field => delete historyCard[field]);
+  return historyCard;
+}
+
+function generateGodPack(ctx) {
+  const pulls = [];
   
   for (let i = 0; i < 5; i++) {
-    const card = getRandomElement(pools.fullArt);
-    const cardId = card.id + CARD_SUFFIXES.fullart;
-    const cardData = createCardData(card, pools, { fullart: true });
-    const isNew = !isCardOwned(setCode, cardId);
-    
-    ensureCardExists(setCode, cardId, cardData);
-    pack.push({ ...cardData, isNew, isGodPack: true });
+    const card = getRandomElement(ctx.pools.fullArt, ctx.rng);
+    pulls.push({
+      slot: 'godPack',
+      cardId: card.id + CARD_SUFFIXES.fullart,
+      data: createCardData(card, ctx.pools, { fullart: true }),
+      flags: { isGodPack: true }
+    });
   }
   
-  return pack;
+  return pulls;
 }
 
-function generateRegularPack(setCode, pools) {
-  const pack = [];
+function generateRegularPack(setCode, ctx) {
+  const template = getPackTemplate(setCode);
+  const pulls = [];
+  const pickedIds = new Set();
+  const filledSlots = new Set();
   
-  // 5 base cards
-  for (let i = 0; i < 5; i++) {
-    const card = selectRandomCard(pools.all, rollRarity());
-    if (!card) continue;
-    
-    const cardId = card.id;
-    const cardData = createCardData(card, pools, { fullart: false });
-    const isNew = !isCardOwned(setCode, cardId);
+  console.log('Pack template:', template.name);
+  
+  template.slots.forEach(slot => {
+    if (slot.requires && !filledSlots.has(slot.requires)) return;
+    if (slot.chance !== undefined && !randomChance(getSlotChance(slot, ctx.odds), ctx.rng)) return;
     
-    ensureCardExists(setCode, cardId, cardData);
-    pack.push({ ...cardData, isNew });
-  }
+    const exclude = template.allowDuplicates ? null : pickedIds;
+    if (fillSlot(pulls, slot, ctx, exclude, pickedIds) > 0) {
+      filledSlots.add(slot.id);
+    }
+  });
   
-  // Bonus full-art card (10% chance)
-  const got6thCard = addBonusCard(pack, setCode, pools.fullArt, pools, 'fullart');
+  if (ctx.odds.guaranteeMythic) {
+    applyMythicGuarantee(pulls, template, ctx);
+  }
   
-  // Masterpiece card (25% chance, only if 6th card exists)
-  if (got6thCard) {
-    addBonusCard(pack, setCode, pools.masterpiece, pools, 'masterpiece');
+  if (ctx.protection && getCompletion(ctx.pools.all, ctx.owned) >= ctx.protection.newCardGuaranteeAt) {
+    applyNewCardGuarantee(pulls, template, ctx);
   }
   
-  return pack;
+  return pulls;
 }
 
-function addBonusCard(pack, setCode, pool, allPools, type) {
-  const chances = { fullart: FULLART_BONUS_CHANCE, masterpiece: MASTERPIECE_CHANCE };
-  const suffixes = { fullart: CARD_SUFFIXES.fullart, masterpiece: CARD_SUFFIXES.masterpiece };
-  const flags = { fullart: 'isBonus', masterpiece: 'isSecret' };
+/**
+ * Main-pool slots whose pulls guarantees may swap
+ */
+function getSwappableSlots(template) {
+  return template.slots.filter(slot => (slot.pool || 'main') === 'main' && slot.variant === undefined);
+}
+
+function swapPull(pulls, index, card, ctx) {
+  pulls[index] = {
+    ...pulls[index],
+    cardId: card.id,
+    data: createCardData(card, ctx.pools, { fullart: false })
+  };
+  ctx.seen.add(card.id);
+}
+
+/**
+ * Pity hard cap: swap the last main-slot card for a mythic if none was pulled
+ */
+function applyMythicGuarantee(pulls, template, ctx) {
+  if (pulls.some(pull => pull.data.rarity === 'mythic')) return;
   
-  if (!randomChance(chances[type]) || pool.length === 0) return false;
+  const mainSlots = getSwappableSlots(template);
+  const index = pulls.findLastIndex(pull => mainSlots.some(slot => slot.id === pull.slot));
+  const pickedIds = new Set(pulls.map(pull => pull.cardId));
+  const mythics = ctx.pools.all.filter(card => card.rarity === 'mythic');
+  const unpicked = mythics.filter(card => !pickedIds.has(card.id));
   
-  const card = getRandomElement(pool);
-  const cardId = card.id + suffixes[type];
-  const cardData = createCardData(card, allPools, { [type]: true });
-  const isNew = !isCardOwned(setCode, cardId);
+  if (index === -1 || mythics.length === 0) return;
+  
+  const card = pickCard(unpicked.length > 0 ? unpicked : mythics, ctx);
+  console.log('Pity: guaranteed mythic', card.name);
+  swapPull(pulls, index, card, ctx);
+}
+
+/**
+ * Duplicate protection: past the completion threshold, swap a main-slot card
+ * for an unowned card of the same rarity when the pack has nothing new
+ */
+function applyNewCardGuarantee(pulls, template, ctx) {
+  if (pulls.some(pull => !ctx.owned.has(pull.cardId))) return;
+  
+  const mainSlots = getSwappableSlots(template);
+  
+  for (let index = pulls.length - 1; index >= 0; index--) {
+    const slot = mainSlots.find(s => s.id === pulls[index].slot);
+    if (!slot) continue;
+    
+    const rarity = pulls[index].data.rarity;
+    const unowned = getSlotPool(slot, ctx.pools).filter(card => card.rarity === rarity && !ctx.seen.has(card.id));
+    if (unowned.length === 0) continue;
+    
+    const card = getRandomElement(unowned, ctx.rng);
+    console.log('Duplicate protection: guaranteed new card', card.name);
+    swapPull(pulls, index, card, ctx);
+    return;
+  }
+}
+
+/**
+ * Pull every card for one template slot
+ * @returns {number} - Cards added
+ */
+function fillSlot(pulls, slot, ctx, exclude, pickedIds) {
+  const pool = getSlotPool(slot, ctx.pools);
+  const count = slot.count || 1;
+  let added = 0;
   
-  ensureCardExists(setCode, cardId, cardData);
-  pack.push({ ...cardData, isNew, [flags[type]]: true });
+  for (let i = 0; i < count; i++) {
+    const card = pickSlotCard(slot, pool, ctx, exclude);
+    if (!card) continue;
+    
+    const flags = {};
+    if (slot.flag) flags[slot.flag] = true;
+    if (slot.foil) flags.isFoil = true;
+    
+    const cardId = slot.variant ? card.id + CARD_SUFFIXES[slot.variant] : card.id;
+    pulls.push({
+      slot: slot.id,
+      cardId,
+      data: createCardData(card, ctx.pools, slot.variant ? { [slot.variant]: true } : { fullart: false }),
+      flags
+    });
+    pickedIds.add(card.id);
+    ctx.seen.add(cardId);
+    added++;
+  }
   
-  console.log(`${type} card added`);
-  return true;
+  if (added > 0 && slot.flag) console.log(`${slot.id} card added`);
+  return added;
 }
 
-function selectRandomCard(allCards, targetRarity) {
-  let pool = allCards.filter(c => c.rarity === targetRarity);
+function pickSlotCard(slot, pool, ctx, exclude) {
+  const available = exclude ? pool.filter(card => !exclude.has(card.id)) : pool;
+  // Tiny pools may run out of unique cards; duplicates beat an empty slot
+  const candidates = available.length > 0 ? available : pool;
   
-  if (pool.length === 0) {
-    const fallbackRarities = ['common', 'uncommon', 'rare', 'mythic'].filter(r => r !== targetRarity);
-    for (const rarity of fallbackRarities) {
-      pool = allCards.filter(c => c.rarity === rarity);
-      if (pool.length > 0) {
-        console.warn(`Fallback to ${rarity} from ${targetRarity}`);
-        break;
-      }
-    }
+  if (candidates.length === 0) return null;
+  
+  if ((slot.pool || 'main') === 'main') {
+    return selectRandomCard(candidates, rollRarity(getSlotRarityWeights(slot, ctx.odds), ctx.rng), ctx);
   }
   
-  if (pool.length === 0) {
+  return getRandomElement(candidates, ctx.rng);
+}
+
+function selectRandomCard(allCards, targetRarity, ctx) {
+  // Same fallback the pull-rate calculation assumes (odds.js)
+  const rarity = resolveRarity(targetRarity, new Set(allCards.map(c => c.rarity)));
+  
+  if (!rarity) {
     console.warn('No cards available');
     return null;
   }
   
-  return getRandomElement(pool);
+  if (rarity !== targetRarity) {
+    console.warn(`Fallback to ${rarity} from ${targetRarity}`);
+  }
+  
+  return pickCard(allCards.filter(c => c.rarity === rarity), ctx);
 }
 
-function createCardData(card, pools, flags) {
+/**
+ * Pick within one rarity; duplicate protection favors unowned cards
+ */
+function pickCard(cards, ctx) {
+  if (!ctx.protection) return getRandomElement(cards, ctx.rng);
+  return pickFavoringUnowned(cards, ctx.seen, ctx.protection.unownedWeight, ctx.rng);
+}
+
+/**
+ * Build the collection record for a Scryfall card (display fields plus getCardMetadata())
+ * @param {Object} card - Scryfall card
+ * @param {Object} pools - Card pools (spotlight membership)
+ * @param {Object} flags - { fullart, masterpiece }
+ * @returns {Object} - Card data (count 0; addCard increments it)
+ */
+export function createCardData(card, pools, flags) {
   const imgs = getCardImages(card);
   const isSpotlight = pools.spotlight.some(sc => sc.id === card.id);
   
@@ -171,11 +441,13 @@ function createCardData(card, pools, flags) {
     rarity: card.rarity,
     img: imgs.front,
     backImg: imgs.back,
+    thumb: imgs.thumb,
     count: 0,
     fullart: flags.fullart || false,
     masterpiece: flags.masterpiece || false,
     spotlight: isSpotlight,
-    collectorNum: card.collector_number
+    collectorNum: card.collector_number,
+    ...getCardMetadata(card)
   };
 }
 
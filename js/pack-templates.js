@@ -0,0 +1,152 @@
+/**
+ * MTG Pocket - Pack Templates
+ *
+ * Declarative "print sheet" definitions describing what goes into a pack.
+ *
+ * Template:
+ *   name             - Display name
+ *   allowDuplicates  - Whether the same card may appear twice in one pack
+ *   slots            - Ordered list of slots
+ *
+ * Slot:
+ *   id               - Slot id (referenced by `requires`)
+ *   count            - Cards produced by the slot (default 1)
+ *   pool             - 'main' | 'land' | 'fullArt' | 'masterpiece' | 'spotlight'
+ *   rarityWeights    - Relative rarity weights per card ('main' pool only);
+ *                      omit to use the set's odds (odds.js)
+ *   excludeLands     - Leave basic lands out of a 'main' slot
+ *   chance           - Probability the slot appears at all (default 1), or the
+ *                      name of a set odds field such as 'fullArtChance'
+ *   requires         - Slot id that must have produced a card first
+ *   variant          - Collection variant for the pulled card ('fullart' | 'masterpiece')
+ *   flag             - Reveal flag set on the pulled card ('isBonus' | 'isSecret')
+ *   foil             - Reveal the card with a foil treatment
+ */
+
+import { getSetMetadata } from './state.js';
+
+// ===== TEMPLATES =====
+
+export const PACK_TEMPLATES = {
+  // Original MTG Pocket layout: 5 cards + full-art bonus + masterpiece bonus
+  pocket: {
+    name: 'Pocket Pack',
+    allowDuplicates: true,
+    slots: [
+      { id: 'main', count: 5, pool: 'main' },
+      { id: 'bonus', pool: 'fullArt', chance: 'fullArtChance', variant: 'fullart', flag: 'isBonus' },
+      { id: 'secret', pool: 'masterpiece', chance: 'masterpieceChance', requires: 'bonus', variant: 'masterpiece', flag: 'isSecret' }
+    ]
+  },
+
+  // Modern Play Booster (2024+)
+  playBooster: {
+    name: 'Play Booster',
+    allowDuplicates: false,
+    slots: [
+      { id: 'commons', count: 6, pool: 'main', rarityWeights: { common: 1 }, excludeLands: true },
+      { id: 'uncommons', count: 3, pool: 'main', rarityWeights: { uncommon: 1 } },
+      { id: 'wildcard', pool: 'main', rarityWeights: { common: 42, uncommon: 42, rare: 14, mythic: 2 }, excludeLands: true },
+      { id: 'rare', pool: 'main', rarityWeights: { rare: 7, mythic: 1 } },
+      { id: 'foil', pool: 'main', rarityWeights: { common: 60, uncommon: 27, rare: 11, mythic: 2 }, foil: true },
+      { id: 'land', pool: 'land' },
+      { id: 'bonus', pool: 'fullArt', chance: 'fullArtChance', variant: 'fullart', flag: 'isBonus' }
+    ]
+  },
+
+  // Classic 15-card draft booster
+  draftBooster: {
+    name: 'Draft Booster',
+    allowDuplicates: false,
+    slots: [
+      { id: 'commons', count: 10, pool: 'main', rarityWeights: { common: 1 }, excludeLands: true },
+      { id: 'uncommons', count: 3, pool: 'main', rarityWeights: { uncommon: 1 } },
+      { id: 'rare', pool: 'main', rarityWeights: { rare: 7, mythic: 1 } },
+      { id: 'land', pool: 'land' }
+    ]
+  },
+
+  // Masters sets: no basic land, guaranteed foil of any rarity
+  masters: {
+    name: 'Masters Booster',
+    allowDuplicates: false,
+    slots: [
+      { id: 'commons', count: 10, pool: 'main', rarityWeights: { common: 1 }, excludeLands: true },
+      { id: 'uncommons', count: 3, pool: 'main', rarityWeights: { uncommon: 1 } },
+      { id: 'rare', pool: 'main', rarityWeights: { rare: 7, mythic: 1 } },
+      { id: 'foil', pool: 'main', rarityWeights: { common: 55, uncommon: 30, rare: 12, mythic: 3 }, excludeLands: true, foil: true },
+      { id: 'bonus', pool: 'fullArt', chance: 'fullArtChance', variant: 'fullart', flag: 'isBonus' }
+    ]
+  }
+};
+
+// ===== ASSIGNMENTS =====
+// Set code assignments win over set type; everything else uses the default
+export const PACK_TEMPLATE_ASSIGNMENTS = {
+  default: 'pocket',
+  bySetCode: {
+    // Example: 'blb': 'playBooster',
+    // Example: 'lea': 'draftBooster'
+  },
+  bySetType: {
+    masters: 'masters'
+  }
+};
+
+/**
+ * Get the pack template for a set
+ * @param {string} setCode - The set code
+ * @returns {Object} - Pack template
+ */
+export function getPackTemplate(setCode) {
+  const code = setCode?.toLowerCase();
+  const setType = getSetMetadata(setCode)?.type;
+
+  const templateId = PACK_TEMPLATE_ASSIGNMENTS.bySetCode[code]
+    || PACK_TEMPLATE_ASSIGNMENTS.bySetType[setType]
+    || PACK_TEMPLATE_ASSIGNMENTS.default;
+
+  if (!PACK_TEMPLATES[templateId]) {
+    console.warn(`Unknown pack template "${templateId}", using default`);
+    return PACK_TEMPLATES[PACK_TEMPLATE_ASSIGNMENTS.default];
+  }
+
+  return PACK_TEMPLATES[templateId];
+}
+
+// ===== POOLS =====
+
+export function isBasicLand(card) {
+  return (card.type_line || '').includes('Basic Land');
+}
+
+/**
+ * Resolve the card pool a slot draws from
+ * @param {Object} slot - Template slot
+ * @param {Object} pools - { all, fullArt, masterpiece, spotlight }
+ * @returns {Array} - Candidate cards
+ */
+export function getSlotPool(slot, pools) {
+  switch (slot.pool) {
+    case 'fullArt':
+      return pools.fullArt;
+    case 'masterpiece':
+      return pools.masterpiece;
+    case 'spotlight':
+      return pools.spotlight;
+    case 'land':
+      return pools.all.filter(isBasicLand);
+    default:
+      return slot.excludeLands ? pools.all.filter(card => !isBasicLand(card)) : pools.all;
+  }
+}
+
+/**
+ * Whether a template has a slot drawing from a pool
+ * @param {Object} template - Pack template
+ * @param {string} pool - Slot pool ('main' covers slots without one)
+ * @returns {boolean}
+ */
+export function hasSlotPool(template, pool) {
+  return template.slots.some(slot => (slot.pool || 'main') === pool);
+}
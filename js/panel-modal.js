@@ -0,0 +1,49 @@
+/**
+ * MTG Pocket - Panel Modal
+ *
+ * Generic full-screen modal for informational panels (pull rates, etc.).
+ * Callers build their own content element; the modal supplies the frame,
+ * title, close button and background-click dismissal.
+ */
+
+/**
+ * Show a panel
+ * @param {string} title - Panel heading
+ * @param {HTMLElement} content - Panel body
+ */
+export function showPanelModal(title, content) {
+  const modal = document.getElementById('panelModal');
+  modal.innerHTML = '';
+  modal.style.display = 'flex';
+
+  const panel = document.createElement('div');
+  panel.className = 'panel';
+
+  const header = document.createElement('div');
+  header.className = 'panelHeader';
+
+  const heading = document.createElement('h2');
+  heading.textContent = title;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'panelClose';
+  closeBtn.textContent = '✕';
+  closeBtn.onclick = closePanelModal;
+
+  header.appendChild(heading);
+  header.appendChild(closeBtn);
+  panel.appendChild(header);
+  panel.appendChild(content);
+  modal.appendChild(panel);
+
+  // Close on background click
+  modal.onclick = (e) => {
+    if (e.target === modal) closePanelModal();
+  };
+}
+
+export function closePanelModal() {
+  const modal = document.getElementById('panelModal');
+  modal.style.display = 'none';
+  modal.innerHTML = '';
+}
@@ -0,0 +1,103 @@
+/**
+ * MTG Pocket - Bad-Luck Protection (Pity)
+ *
+ * Per-set counters of packs opened since the last mythic, full-art bonus and
+ * god pack. Past `softStart` dry packs the odds rise by `boost` per pack; the
+ * pack that would reach `hardCap` is guaranteed a hit. Counters are an input
+ * to pack generation, so a recorded seed + counter snapshot replays exactly.
+ * A set without mythics or full-art cards, or whose pack template has no
+ * slot for them, can never hit those tracks, so they're left out
+ * (getPityTracks()) instead of counting up forever.
+ */
+
+import { PITY_CONFIG } from './constants.js';
+import { hasSlotPool } from './pack-templates.js';
+
+export const PITY_TRACKS = ['mythic', 'fullArt', 'godPack'];
+
+// Whether a set's packs can ever hit a track. The mythic guarantee swaps into
+// any main slot; full-art bonuses need their own slot; god packs skip the template.
+const TRACK_HITS = {
+  mythic: (pools, template) => pools.all.some(card => card.rarity === 'mythic') && hasSlotPool(template, 'main'),
+  fullArt: (pools, template) => pools.fullArt.length > 0 && hasSlotPool(template, 'fullArt'),
+  godPack: pools => pools.fullArt.length > 0
+};
+
+export function createPityCounters() {
+  return Object.fromEntries(PITY_TRACKS.map(track => [track, 0]));
+}
+
+/**
+ * Tracks a set's packs can hit
+ * @param {Object} pools - { all, fullArt } card pools of the set
+ * @param {Object} template - The set's pack template (getPackTemplate())
+ * @returns {Array} - PITY_TRACKS entries
+ */
+export function getPityTracks(pools, template) {
+  return PITY_TRACKS.filter(track => TRACK_HITS[track](pools, template));
+}
+
+/**
+ * Packs past the soft threshold for the pack about to be opened
+ */
+function getDryPacksOver(track, counters) {
+  return Math.max(0, (counters?.[track] || 0) + 1 - PITY_CONFIG[track].softStart);
+}
+
+/**
+ * Whether the pack about to be opened has raised odds for this track
+ */
+export function isPityBoosted(track, counters) {
+  return getDryPacksOver(track, counters) > 0;
+}
+
+/**
+ * Whether the pack about to be opened must hit this track
+ */
+export function isPityGuaranteed(track, counters) {
+  return (counters?.[track] || 0) + 1 >= PITY_CONFIG[track].hardCap;
+}
+
+/**
+ * Apply pity boosts to a set's odds
+ * @param {Object} odds - From getSetOdds()
+ * @param {Object} counters - { mythic, fullArt, godPack }
+ * @returns {Object} - Odds with mythicBoost / guaranteeMythic and raised chances
+ */
+export function applyPity(odds, counters) {
+  if (!counters) return odds;
+
+  const boosted = (track, chance) => {
+    if (isPityGuaranteed(track, counters)) return 1;
+    return Math.min(1, chance + getDryPacksOver(track, counters) * PITY_CONFIG[track].boost);
+  };
+
+  return {
+    ...odds,
+    mythicBoost: getDryPacksOver('mythic', counters) * PITY_CONFIG.mythic.boost,
+    guaranteeMythic: isPityGuaranteed('mythic', counters),
+    fullArtChance: boosted('fullArt', odds.fullArtChance),
+    godPackChance: boosted('godPack', odds.godPackChance)
+  };
+}
+
+/**
+ * Counters after opening a pack
+ * @param {Object} counters - Counters before the pack
+ * @param {Array} pulls - Pulls from generatePack()
+ * @param {Array} [tracks] - Tracks the set can hit (from getPityTracks()); others are left as they are
+ * @returns {Object} - New counters
+ */
+export function advancePity(counters, pulls, tracks = PITY_TRACKS) {
+  const current = { ...createPityCounters(), ...counters };
+  const hits = {
+    mythic: pulls.some(pull => pull.data.rarity === 'mythic'),
+    fullArt: pulls.some(pull => pull.data.fullart),
+    godPack: pulls.some(pull => pull.flags.isGodPack)
+  };
+
+  return Object.fromEntries(PITY_TRACKS.map(track => {
+    if (!tracks.includes(track)) return [track, current[track]];
+    return [track, hits[track] ? 0 : current[track] + 1];
+  }));
+}
@@ -0,0 +1,156 @@
+/**
+ * MTG Pocket - Point Timer
+ *
+ * Grants one point per `regenInterval` (see economy.js) since state.data.last,
+ * without trusting the system clock:
+ * - While the app is open, wall-clock time is compared with performance.now();
+ *   when they drift apart by more than `clockSkewTolerance` the clock was
+ *   changed, and the jump is skipped (not rewarded, not charged) and flagged
+ * - The latest accrual time is kept as a high-water mark; when the clock goes
+ *   back, the timer waits at the mark until real time catches up, so moving
+ *   the clock forward (points while away) and back again mints nothing extra
+ *   (the mark only moves when `last` does, so ticks don't write every second)
+ * - Points stop at `maxBankedPoints`; time past the cap is lost, which also
+ *   bounds what a clock moved forward while the app was closed can mint.
+ *   Offline accruals that reach the cap or span more than
+ *   `plausibleOfflineGap` are flagged
+ * Each accrual and clock change is logged in state.data.timer.events.
+ */
+
+import { POINT_TIMER_CONFIG } from './constants.js';
+import {
+  getPoints,
+  getLastTimestamp,
+  addPoints,
+  updateLastTimestamp,
+  recordTimerEvents,
+  getTimerEvents,
+  getTimerHighWater,
+  setTimerHighWater
+} from './state.js';
+import { getEconomy } from './economy.js';
+
+let previousTick = null; // { wall, mono } of this tab's last tick
+
+// ===== SETTLING =====
+
+/**
+ * Timer rules: clock handling from POINT_TIMER_CONFIG, rates from the economy
+ * @returns {Object} - { regenInterval, maxBankedPoints, clockSkewTolerance, plausibleOfflineGap }
+ */
+export function getTimerRules() {
+  const { regenInterval, maxBankedPoints } = getEconomy();
+  const { clockSkewTolerance, plausibleOfflineGap } = POINT_TIMER_CONFIG;
+  return { regenInterval, maxBankedPoints, clockSkewTolerance, plausibleOfflineGap };
+}
+
+/**
+ * Work out points earned since the last accrual
+ * @param {Object} input - { now, last, points, previousTick, monoNow, highWater }
+ * @param {Object} [config] - From getTimerRules()
+ * @returns {Object} - { points, last, highWater, events } with points to grant,
+ *   the new timestamp and the new high-water mark
+ */
+export function settleTimer({ now, last, points, previousTick: previous = null, monoNow = 0, highWater = 0 }, config = getTimerRules()) {
+  const events = [];
+  const mark = Math.max(highWater, last);
+  let settledLast = last;
+
+  // Clock changed since the previous tick: skip a forward jump, wait out a backward one
+  if (previous) {
+    const skew = (now - previous.wall) - (monoNow - previous.mono);
+    if (Math.abs(skew) > config.clockSkewTolerance) {
+      settledLast = skew > 0 ? settledLast + skew : mark;
+      events.push({ at: now, type: skew > 0 ? 'clockForward' : 'clockBack', skew, points: 0, flagged: true });
+    }
+  }
+
+  // Clock is behind the last accrual (changed while closed): wait at the mark
+  if (now < settledLast) {
+    if (events.length === 0) events.push({ at: now, type: 'clockBack', skew: now - settledLast, points: 0, flagged: true });
+    settledLast = Math.max(settledLast, mark);
+  }
+
+  const hours = Math.max(0, Math.floor((now - settledLast) / config.regenInterval));
+  const granted = Math.min(hours, Math.max(0, config.maxBankedPoints - points));
+  settledLast += hours * config.regenInterval;
+
+  if (hours > 0) {
+    const offline = !previous;
+    events.push({
+      at: now,
+      type: offline ? 'offline' : 'accrual',
+      hours,
+      points: granted,
+      lost: hours - granted,
+      // Time away that fills the bank or is implausibly long may be a clock moved forward
+      flagged: offline && (points + hours >= config.maxBankedPoints || hours * config.regenInterval > config.plausibleOfflineGap)
+    });
+  }
+
+  return { points: granted, last: settledLast, highWater: Math.max(mark, settledLast), events };
+}
+
+// ===== TICKING =====
+
+/**
+ * Settle the timer for the current profile and report the countdown
+ * @param {Object} options - { grant } false in tabs that only display the timer
+ * @returns {Object} - { remaining, bankFull, clockChange }
+ */
+export function tickPointTimer({ grant = true, now = Date.now(), monoNow = performance.now() } = {}) {
+  const rules = getTimerRules();
+
+  if (grant) {
+    const settled = settleTimer({
+      now,
+      last: getLastTimestamp(),
+      points: getPoints(),
+      previousTick,
+      monoNow,
+      highWater: getTimerHighWater()
+    }, rules);
+
+    if (settled.points > 0) addPoints(settled.points);
+    if (settled.last !== getLastTimestamp()) updateLastTimestamp(settled.last);
+    if (settled.highWater !== getTimerHighWater()) setTimerHighWater(settled.highWater);
+    if (settled.events.length > 0) {
+      recordTimerEvents(settled.events);
+      settled.events.filter(event => event.flagged).forEach(event => {
+        console.warn(event.type === 'offline'
+          ? `⏰ ${event.hours}h away - flagged as a possible clock change`
+          : `⏰ System clock changed (${event.type}, ${Math.round(event.skew / 1000)}s) - skipped time earns no points`);
+      });
+    }
+  }
+  previousTick = { wall: now, mono: monoNow };
+
+  // A tab that doesn't own the timer can briefly lag the owner's update
+  const remaining = Math.min(rules.regenInterval, Math.max(0, rules.regenInterval - (now - getLastTimestamp())));
+
+  return {
+    remaining,
+    bankFull: getPoints() >= rules.maxBankedPoints,
+    clockChange: getRecentClockChange(now)
+  };
+}
+
+/**
+ * Forget the previous tick, e.g. after the page was hidden (some browsers
+ * pause performance.now() while the device sleeps)
+ */
+export function resetTimerTracking() {
+  previousTick = null;
+}
+
+/**
+ * Latest flagged clock change still worth warning about
+ * Flagged offline accruals are only logged: a long absence fills the bank too.
+ * @param {number} [now]
+ * @returns {Object|null} - Timer event
+ */
+export function getRecentClockChange(now = Date.now()) {
+  const flagged = getTimerEvents().filter(event => event.flagged && event.type !== 'offline');
+  const latest = flagged[flagged.length - 1];
+  return latest && Math.abs(now - latest.at) < POINT_TIMER_CONFIG.warningDuration ? latest : null;
+}
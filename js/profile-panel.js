@@ -0,0 +1,149 @@
+/**
+ * MTG Pocket - Profile Switcher & Panel
+ *
+ * Header dropdown for switching profiles, and a panel to create, rename,
+ * duplicate and delete them (operations live in profiles.js).
+ */
+
+import {
+  getProfiles,
+  createProfile,
+  renameProfile,
+  duplicateProfile,
+  deleteProfile,
+  switchProfile
+} from './profiles.js';
+import { getProfileId } from './state.js';
+import { createElement } from './utils.js';
+import { showPanelModal } from './panel-modal.js';
+
+// ===== HEADER SWITCHER =====
+
+/**
+ * Wire up the header profile dropdown and manage button
+ */
+export function initProfileSwitcher() {
+  const select = document.getElementById('profileSelect');
+
+  select.onchange = async () => {
+    console.log('🔽 === DROPDOWN: Profile Changed ===', select.value);
+    select.disabled = true;
+    try {
+      await switchProfile(select.value);
+    } finally {
+      select.disabled = false;
+    }
+  };
+
+  document.getElementById('manageProfiles').onclick = showProfilePanel;
+
+  document.addEventListener('profilesUpdated', renderProfileSwitcher);
+  document.addEventListener('profileChanged', renderProfileSwitcher);
+  renderProfileSwitcher();
+}
+
+export function renderProfileSwitcher() {
+  const select = document.getElementById('profileSelect');
+  select.innerHTML = '';
+
+  getProfiles().forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+  select.value = getProfileId();
+}
+
+// ===== MANAGE PANEL =====
+
+/**
+ * Open the profile management panel
+ */
+export function showProfilePanel() {
+  const container = createElement('div', 'profilePanel');
+  renderProfileList(container);
+  showPanelModal('Profiles', container);
+}
+
+function renderProfileList(container) {
+  container.innerHTML = '';
+  const refresh = () => renderProfileList(container);
+  const activeId = getProfileId();
+
+  container.appendChild(createElement('p', 'panelNote',
+    'Each profile has its own points, collection and pack history on this device.'));
+
+  getProfiles().forEach(profile => {
+    const row = createElement('div', 'historyRow');
+    const isActive = profile.id === activeId;
+
+    row.appendChild(createElement('div', 'historyTitle', isActive ? `${profile.name} (current)` : profile.name));
+
+    const actions = createElement('div', 'panelActions');
+    if (!isActive) {
+      actions.appendChild(createActionButton('Switch', async () => {
+        await switchProfile(profile.id);
+        refresh();
+      }));
+    }
+    actions.appendChild(createActionButton('Rename', () => {
+      const name = prompt('New name for this profile:', profile.name);
+      if (name === null) return;
+      showResult(renameProfile(profile.id, name), refresh);
+    }));
+    actions.appendChild(createActionButton('Duplicate', async () => {
+      const name = prompt('Name for the copy:', `${profile.name} (copy)`);
+      if (name === null) return;
+      showResult(await duplicateProfile(profile.id, name), refresh);
+    }));
+    actions.appendChild(createActionButton('Delete', async () => {
+      if (!confirm(`Delete "${profile.name}" and its whole collection? This can't be undone.`)) return;
+      showResult(await deleteProfile(profile.id), refresh);
+    }));
+
+    row.appendChild(actions);
+    container.appendChild(row);
+  });
+
+  // New profile
+  const createRow = createElement('div', 'panelActions');
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'New profile name';
+
+  const createBtn = createElement('button', [], '+ New Profile');
+  createBtn.onclick = async () => {
+    const result = createProfile(nameInput.value);
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    if (confirm(`Switch to "${result.profile.name}" now?`)) {
+      await switchProfile(result.profile.id);
+    }
+    refresh();
+  };
+
+  createRow.appendChild(nameInput);
+  createRow.appendChild(createBtn);
+  container.appendChild(createRow);
+}
+
+function createActionButton(label, onClick) {
+  const button = createElement('button', [], label);
+  button.onclick = async () => {
+    button.disabled = true;
+    try {
+      await onClick();
+    } finally {
+      button.disabled = false;
+    }
+  };
+  return button;
+}
+
+function showResult(result, refresh) {
+  if (result.error) alert(result.error);
+  refresh();
+}
@@ -0,0 +1,208 @@
+/**
+ * MTG Pocket - Profiles
+ *
+ * Several players can share one browser: each profile has its own save
+ * (points, timer, collection, pack history...) in its own storage. The list of
+ * profiles and which one is active live in localStorage under PROFILES_KEY.
+ * Switching flushes the current save and reloads state through
+ * initializeState(), then fires `profileChanged` on document.
+ */
+
+import {
+  PROFILES_KEY,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_PROFILE_NAME,
+  PROFILE_NAME_MAX_LENGTH
+} from './constants.js';
+import { initializeState, flushSave, getProfileId } from './state.js';
+import { openStorage, deleteStorage } from './storage.js';
+
+// ===== REGISTRY =====
+
+function getDefaultRegistry() {
+  return {
+    activeId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, createdAt: Date.now() }]
+  };
+}
+
+function readRegistry() {
+  try {
+    const registry = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (Array.isArray(registry?.profiles) && registry.profiles.length > 0) return registry;
+  } catch (error) {
+    console.warn('Profile list unreadable, using the default profile:', error);
+  }
+  return getDefaultRegistry();
+}
+
+function writeRegistry(registry) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(registry));
+  } catch (error) {
+    console.error('Failed to save profile list:', error);
+  }
+}
+
+function generateProfileId() {
+  return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Check a profile name
+ * @param {string} name - Proposed name
+ * @param {string} [exceptId] - Profile being renamed
+ * @returns {string|null} - Problem with the name, or null when fine
+ */
+export function validateProfileName(name, exceptId = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Enter a profile name.';
+  if (trimmed.length > PROFILE_NAME_MAX_LENGTH) return `Profile names can be at most ${PROFILE_NAME_MAX_LENGTH} characters.`;
+
+  const taken = readRegistry().profiles
+    .some(profile => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase());
+  return taken ? `There is already a profile called "${trimmed}".` : null;
+}
+
+// ===== QUERIES =====
+
+export function getProfiles() {
+  return readRegistry().profiles;
+}
+
+export function getProfile(id) {
+  return getProfiles().find(profile => profile.id === id) || null;
+}
+
+/**
+ * Profile to load on startup
+ */
+export function getActiveProfileId() {
+  const registry = readRegistry();
+  return registry.profiles.some(profile => profile.id === registry.activeId)
+    ? registry.activeId
+    : registry.profiles[0].id;
+}
+
+// ===== OPERATIONS =====
+
+/**
+ * Create an empty profile
+ * @param {string} name - Profile name
+ * @returns {Object} - { profile } on success, { error } otherwise
+ */
+export function createProfile(name) {
+  const error = validateProfileName(name);
+  if (error) return { error };
+
+  const registry = readRegistry();
+  const profile = { id: generateProfileId(), name: name.trim(), createdAt: Date.now() };
+  registry.profiles.push(profile);
+  writeRegistry(registry);
+
+  console.log('👤 Created profile', profile.name);
+  notifyProfilesChanged();
+  return { profile };
+}
+
+/**
+ * Rename a profile
+ * @returns {Object} - { profile } on success, { error } otherwise
+ */
+export function renameProfile(id, name) {
+  const registry = readRegistry();
+  const profile = registry.profiles.find(p => p.id === id);
+  if (!profile) return { error: 'Profile not found.' };
+
+  const error = validateProfileName(name, id);
+  if (error) return { error };
+
+  profile.name = name.trim();
+  writeRegistry(registry);
+  notifyProfilesChanged();
+  return { profile };
+}
+
+/**
+ * Copy a profile's whole save into a new profile
+ * @param {string} id - Profile to copy
+ * @param {string} name - Name of the copy
+ * @returns {Promise<Object>} - { profile } on success, { error } otherwise
+ */
+export async function duplicateProfile(id, name) {
+  if (!getProfile(id)) return { error: 'Profile not found.' };
+
+  const { profile, error } = createProfile(name);
+  if (error) return { error };
+
+  if (id === getProfileId()) await flushSave();
+
+  const source = await openStorage(id);
+  const target = await openStorage(profile.id);
+  try {
+    const data = await source.load();
+    if (data) await target.write(data, { full: true });
+  } catch (copyError) {
+    console.error('Failed to copy profile:', copyError);
+    await removeProfile(profile.id);
+    return { error: 'The profile could not be copied.' };
+  } finally {
+    source.close();
+    target.close();
+  }
+
+  console.log(`👤 Duplicated ${id} as`, profile.name);
+  return { profile };
+}
+
+/**
+ * Delete a profile and its save. Deleting the active profile switches to another.
+ * @returns {Promise<Object>} - { profile } (the deleted one) on success, { error } otherwise
+ */
+export async function deleteProfile(id) {
+  const profiles = getProfiles();
+  const profile = profiles.find(p => p.id === id);
+  if (!profile) return { error: 'Profile not found.' };
+  if (profiles.length === 1) return { error: "You can't delete the only profile." };
+
+  if (id === getProfileId()) {
+    await switchProfile(profiles.find(p => p.id !== id).id);
+  }
+
+  await removeProfile(id);
+  console.log('👤 Deleted profile', profile.name);
+  return { profile };
+}
+
+async function removeProfile(id) {
+  const registry = readRegistry();
+  registry.profiles = registry.profiles.filter(profile => profile.id !== id);
+  writeRegistry(registry);
+
+  await deleteStorage(id);
+  notifyProfilesChanged();
+}
+
+/**
+ * Save the current profile and load another
+ * @param {string} id - Profile to load
+ * @returns {Promise<boolean>} - False when the profile doesn't exist
+ */
+export async function switchProfile(id) {
+  const profile = getProfile(id);
+  if (!profile) return false;
+
+  const registry = readRegistry();
+  registry.activeId = id;
+  writeRegistry(registry);
+
+  await initializeState({ profileId: id });
+  console.log('👤 Switched to profile', profile.name);
+
+  document.dispatchEvent(new CustomEvent('profileChanged', { detail: { profile } }));
+  return true;
+}
+
+function notifyProfilesChanged() {
+  document.dispatchEvent(new CustomEvent('profilesUpdated'));
+}
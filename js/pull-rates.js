@@ -0,0 +1,126 @@
+/**
+ * MTG Pocket - Pull Rates Screen
+ *
+ * Shows the exact odds for the current set, computed by the odds engine
+ * from the same numbers pack generation uses.
+ */
+
+import { CARD_RARITIES } from './constants.js';
+import {
+  getCurrentSet,
+  getSetMetadata,
+  getAllCards,
+  getFullArtCards,
+  getMasterpieceCards,
+  getStorySpotlightCards,
+  getPityCounters
+} from './state.js';
+import { calculatePullRates } from './odds.js';
+import { createElement, formatProbability } from './utils.js';
+import { showPanelModal } from './panel-modal.js';
+import { getPityTracks, isPityBoosted, isPityGuaranteed } from './pity.js';
+import { getPackTemplate } from './pack-templates.js';
+
+const RARITY_LABELS = {
+  common: 'Common',
+  uncommon: 'Uncommon',
+  rare: 'Rare',
+  mythic: 'Mythic'
+};
+
+/**
+ * Open the pull rates panel for the current set
+ */
+export function showPullRates() {
+  const setCode = getCurrentSet();
+  const pools = {
+    all: getAllCards(),
+    fullArt: getFullArtCards(),
+    masterpiece: getMasterpieceCards(),
+    spotlight: getStorySpotlightCards()
+  };
+  const rates = calculatePullRates(setCode, pools);
+
+  const setName = getSetMetadata(setCode)?.name || setCode?.toUpperCase();
+  const content = renderPullRates(rates);
+  
+  const pityNote = describePity(getPityCounters(setCode), getPityTracks(pools, getPackTemplate(setCode)));
+  if (pityNote) content.appendChild(createElement('p', 'panelNote', pityNote));
+  
+  showPanelModal(`Pull Rates — ${setName}`, content);
+}
+
+function describePity(counters, tracks) {
+  const labels = { mythic: 'mythic', fullArt: 'full-art bonus', godPack: 'god pack' };
+  const guaranteed = tracks.filter(track => isPityGuaranteed(track, counters));
+  const boosted = tracks.filter(track => isPityBoosted(track, counters) && !guaranteed.includes(track));
+  const parts = [];
+  
+  if (guaranteed.length) parts.push(`guaranteed ${guaranteed.map(t => labels[t]).join(', ')}`);
+  if (boosted.length) parts.push(`raised odds for ${boosted.map(t => labels[t]).join(', ')}`);
+  
+  return parts.length ? `Bad-luck protection: your next pack has ${parts.join(' and ')} (not included above).` : null;
+}
+
+/**
+ * Build the pull rates content
+ * @param {Object} rates - Result of calculatePullRates
+ * @returns {HTMLElement}
+ */
+export function renderPullRates(rates) {
+  const container = createElement('div', 'pullRates');
+
+  container.appendChild(createElement('p', 'panelNote', `Pack type: ${rates.templateName}`));
+
+  // Per pack, by rarity
+  container.appendChild(createElement('h3', [], 'Per pack'));
+  container.appendChild(createTable(
+    ['Rarity', 'At least one', 'Avg. cards'],
+    CARD_RARITIES.map(rarity => [
+      RARITY_LABELS[rarity],
+      formatProbability(rates.rarities[rarity].atLeastOne),
+      rates.rarities[rarity].expected.toFixed(2)
+    ])
+  ));
+
+  // Special outcomes
+  container.appendChild(createElement('h3', [], 'Special pulls'));
+  container.appendChild(createTable(
+    ['Outcome', 'Chance per pack'],
+    rates.outcomes.map(outcome => [outcome.label, formatProbability(outcome.probability)])
+  ));
+
+  // Per slot
+  const raritySlots = rates.slots.filter(slot => slot.rarities);
+  if (raritySlots.length > 0) {
+    container.appendChild(createElement('h3', [], 'Per card slot'));
+    container.appendChild(createTable(
+      ['Slot', ...CARD_RARITIES.map(rarity => RARITY_LABELS[rarity])],
+      raritySlots.map(slot => [
+        `${slot.id}${slot.count > 1 ? ` ×${slot.count}` : ''}${slot.foil ? ' (foil)' : ''}`,
+        ...CARD_RARITIES.map(rarity => formatProbability(slot.rarities[rarity]))
+      ])
+    ));
+  }
+
+  container.appendChild(createElement('p', 'panelNote',
+    'Regular packs only; god packs replace the whole pack with full-art cards. Rarities missing from a set fall back to the next available one.'));
+
+  return container;
+}
+
+function createTable(headings, rows) {
+  const table = createElement('table', 'panelTable');
+
+  const headRow = document.createElement('tr');
+  headings.forEach(text => headRow.appendChild(createElement('th', [], text)));
+  table.appendChild(headRow);
+
+  rows.forEach(cells => {
+    const row = document.createElement('tr');
+    cells.forEach(text => row.appendChild(createElement('td', [], String(text))));
+    table.appendChild(row);
+  });
+
+  return table;
+}
@@ -0,0 +1,137 @@
+/**
+ * MTG Pocket - Request Queue
+ *
+ * Single global queue for card-data HTTP requests.
+ * - Requests run one at a time with a minimum spacing, so the rate limit holds
+ *   even when several paginated queries run in parallel
+ * - 429 and 5xx responses (and network failures) retry with exponential backoff;
+ *   a 429 pauses the whole queue until its Retry-After has passed (at most
+ *   REQUEST_CONFIG.maxRetryWait)
+ * - A request whose waits would add up to more than maxRetryWait fails instead,
+ *   and long waits dispatch 'requestRetryWait' so the player sees them
+ * - Failures surface as typed errors (errors.js)
+ */
+
+import { REQUEST_CONFIG } from './constants.js';
+import { ApiError, NoResultsError, NetworkError } from './errors.js';
+import { wait } from './utils.js';
+
+let queueTail = Promise.resolve();
+let nextSlotAt = 0;
+
+// ===== PUBLIC API =====
+
+/**
+ * Fetch and parse a JSON endpoint through the queue, retrying transient failures
+ * @param {string} url - Request URL
+ * @param {Object} options - { maxRetries }
+ * @returns {Promise<Object>} - Parsed JSON body
+ */
+export async function requestJson(url, options = {}) {
+  const { maxRetries = REQUEST_CONFIG.maxRetries } = options;
+  let waited = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await enqueue(() => performRequest(url));
+    } catch (error) {
+      if (!error.retryable || attempt >= maxRetries) throw error;
+
+      const delay = getBackoffDelay(attempt, error.retryAfter);
+
+      // Later requests wait out a 429, but never longer than one request may
+      if (error.status === 429) {
+        nextSlotAt = Math.max(nextSlotAt, Date.now() + Math.min(delay, REQUEST_CONFIG.maxRetryWait));
+      }
+      if (waited + delay > REQUEST_CONFIG.maxRetryWait) throw error;
+
+      console.warn(`Request failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delay}ms:`, url);
+      if (delay >= REQUEST_CONFIG.waitNotice) {
+        document.dispatchEvent(new CustomEvent('requestRetryWait', {
+          detail: { url, delay, attempt: attempt + 1, maxRetries, status: error.status }
+        }));
+      }
+
+      waited += delay;
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Backoff before the next attempt: Retry-After in full when given, else
+ * base * 2^attempt up to REQUEST_CONFIG.maxBackoff
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {number|null} retryAfter - Server-requested delay (ms)
+ * @returns {number} - Delay in ms
+ */
+export function getBackoffDelay(attempt, retryAfter = null) {
+  if (retryAfter) return retryAfter;
+  return Math.min(REQUEST_CONFIG.baseBackoff * 2 ** attempt, REQUEST_CONFIG.maxBackoff);
+}
+
+// ===== QUEUE =====
+
+/**
+ * Run a task after every previously queued task, respecting the minimum spacing
+ */
+function enqueue(task) {
+  const run = queueTail.then(async () => {
+    const delay = nextSlotAt - Date.now();
+    if (delay > 0) await wait(delay);
+
+    nextSlotAt = Date.now() + REQUEST_CONFIG.minInterval;
+    return task();
+  });
+
+  // Keep the chain alive when a task fails
+  queueTail = run.catch(() => {});
+  return run;
+}
+
+// ===== REQUEST =====
+
+async function performRequest(url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (error) {
+    throw new NetworkError(error.message, { url });
+  }
+
+  let json = null;
+  try {
+    json = await res.json();
+  } catch (error) {
+    json = null;
+  }
+
+  if (!res.ok || !json || json.object === 'error') {
+    throw createResponseError(url, res, json);
+  }
+
+  return json;
+}
+
+function createResponseError(url, res, json) {
+  const status = json?.status || res.status;
+  const code = json?.code || null;
+  const message = json?.details || `HTTP ${status}`;
+
+  if (status === 404 || code === 'not_found') {
+    return new NoResultsError(message, { url });
+  }
+
+  return new ApiError(message, {
+    url,
+    status,
+    code,
+    retryAfter: parseRetryAfter(res.headers?.get('Retry-After'))
+  });
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
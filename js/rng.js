@@ -0,0 +1,49 @@
+/**
+ * MTG Pocket - Seeded Random Numbers
+ *
+ * Deterministic PRNG for pack generation. An rng is a function returning a
+ * float in [0, 1), the same contract as Math.random, so every random helper
+ * accepts either. Packs record their seed so they can be replayed exactly.
+ */
+
+/**
+ * Create a seeded rng (mulberry32)
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} - () => number in [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh seed for a new pack
+ * @returns {number} - 32-bit unsigned integer
+ */
+export function generateSeed() {
+  if (globalThis.crypto?.getRandomValues) {
+    return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Parse a seed typed by a user (decimal or 0x-prefixed hex)
+ * @param {string|number} value - Seed input
+ * @returns {number|null} - Seed, or null when invalid
+ */
+export function parseSeed(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const seed = Number(text);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) return null;
+  return seed;
+}
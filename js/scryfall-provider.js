@@ -0,0 +1,63 @@
+/**
+ * MTG Pocket - Scryfall Provider
+ *
+ * Card-data provider backed by the live Scryfall API.
+ * Knows Scryfall's URL scheme and paginated list shape (data / next_page).
+ * Requests go through the shared request queue for rate limiting and retries.
+ */
+
+import { SCRYFALL_API_BASE } from './constants.js';
+import { requestJson } from './request-queue.js';
+
+/**
+ * Fetch all pages from a paginated Scryfall API endpoint
+ * @param {string} url - The initial API URL
+ * @returns {Promise<Array>} - Array of all data across all pages
+ * @throws {NoResultsError} - When the query matches nothing
+ * @throws {ApiError} - When a page fails after retries
+ */
+export async function fetchAllPages(url) {
+  let allData = [];
+  let nextUrl = url;
+
+  while (nextUrl) {
+    const json = await requestJson(nextUrl);
+    allData.push(...(json.data || []));
+    nextUrl = json.next_page || null;
+
+    if (nextUrl) {
+      console.log('Fetching next page:', nextUrl);
+    }
+  }
+
+  return allData;
+}
+
+export class ScryfallProvider {
+  constructor(baseUrl = SCRYFALL_API_BASE) {
+    this.id = 'scryfall';
+    this.baseUrl = baseUrl;
+    this.cacheable = true;
+    this.curatedSets = false;
+  }
+
+  fetchSets() {
+    return fetchAllPages(`${this.baseUrl}/sets`);
+  }
+
+  fetchSetCards(setCode) {
+    return this.search(`set:${setCode}+game:paper`);
+  }
+
+  fetchFullArtCards(setCode) {
+    return this.search(`set:${setCode}+game:paper+(is:extended+OR+is:fullart)`);
+  }
+
+  fetchStorySpotlightCards(setCode) {
+    return this.search(`set:${setCode}+is:spotlight`);
+  }
+
+  search(query) {
+    return fetchAllPages(`${this.baseUrl}/cards/search?q=${query}&unique=cards`);
+  }
+}
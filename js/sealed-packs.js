@@ -0,0 +1,69 @@
+/**
+ * MTG Pocket - Sealed Packs
+ *
+ * Unopened packs held per set. They're earned from rewards (set milestones),
+ * bought with points at the set's pack cost, or granted from the dev panel,
+ * and opened later with openPack(freeMode, { sealed: true }) - free, since
+ * they were paid for up front. Changes fire `sealedPacksChanged`
+ * (detail: { setCode, count, source }).
+ */
+
+import {
+  getPoints,
+  subtractPoints,
+  getSealedPacks,
+  getAllSealedPacks,
+  addSealedPacks,
+  batchWrites
+} from './state.js';
+import { getPackCost } from './economy.js';
+
+// ===== INVENTORY =====
+
+/**
+ * Sets with sealed packs, largest stack first
+ * @returns {Array} - { setCode, count }
+ */
+export function getSealedPackInventory() {
+  return Object.entries(getAllSealedPacks())
+    .map(([setCode, count]) => ({ setCode, count }))
+    .sort((a, b) => b.count - a.count || a.setCode.localeCompare(b.setCode));
+}
+
+/**
+ * Add sealed packs of a set to the inventory
+ * @param {string} setCode - The set code
+ * @param {number} amount - Packs to add
+ * @param {string} source - 'reward', 'purchase' or 'dev'
+ * @returns {Object} - { count } on success, { error } otherwise
+ */
+export function grantSealedPacks(setCode, amount, source) {
+  if (!setCode) return { error: 'Choose a set first.' };
+  if (!Number.isInteger(amount) || amount <= 0) return { error: 'Sealed packs are granted in whole numbers.' };
+
+  addSealedPacks(setCode, amount);
+  const count = getSealedPacks(setCode);
+  console.log(`📦 +${amount} sealed ${setCode.toUpperCase()} pack(s) (${source}), ${count} held`);
+
+  document.dispatchEvent(new CustomEvent('sealedPacksChanged', { detail: { setCode, count, source } }));
+  return { count };
+}
+
+/**
+ * Buy a sealed pack at the set's pack cost
+ * @param {string} setCode - The set code
+ * @returns {Object} - { count } on success, { error } otherwise
+ */
+export function buySealedPack(setCode) {
+  if (!setCode) return { error: 'Choose a set first.' };
+
+  const cost = getPackCost(setCode);
+  if (getPoints() < cost) return { error: `A sealed pack costs ${cost} points (you have ${getPoints()}).` };
+
+  let result;
+  batchWrites(() => {
+    subtractPoints(cost);
+    result = grantSealedPacks(setCode, 1, 'purchase');
+  });
+  return result;
+}
@@ -1,22 +1,46 @@
 /**
  * MTG Pocket - State Management (REFACTORED)
  * 
- * Consolidated validation, cleaner migration logic.
+ * Consolidated validation; saved data is upgraded through the versioned
+ * migrations in migrations.js.
  */
 
-import { STORAGE_KEY, MTG_CARD_BACK } from './constants.js';
+import {
+  STORAGE_KEY,
+  STORAGE_BACKUP_KEY,
+  STORAGE_CORRUPT_KEY,
+  SCHEMA_VERSION,
+  DEFAULT_PROFILE_ID,
+  PACK_HISTORY_LIMIT,
+  CRAFTING_LOG_LIMIT,
+  POINT_TIMER_CONFIG
+} from './constants.js';
+import { getSchemaVersion, runMigrations } from './migrations.js';
+import { openStorage, parseSavedText, getProfileKey } from './storage.js';
 
 // ===== APPLICATION STATE =====
 export const state = {
   data: {
+    schemaVersion: SCHEMA_VERSION,
     points: 0,
     last: Date.now(),
     cards: {},
     lastPack: null,
-    recentPacks: []
+    recentPacks: [],
+    packHistory: [],
+    pity: {},
+    settings: {},
+    crafting: { dust: 0, log: [] },
+    timer: { events: [] },
+    daily: { lastDay: null, streak: 0 },
+    progress: { day: null, missions: [], stats: {}, achievements: {} },
+    milestones: {},
+    tokens: { fullArtPack: 0 },
+    sealedPacks: {}
   },
   
   // Session-only (not persisted)
+  loadedSet: null,     // Set the card lists below belong to
   allCards: [],
   fullArtCards: [],
   masterpieceCards: [],
@@ -24,41 +48,153 @@ export const state = {
   currentSet: null,
   setSize: 0,
   activeRarity: 'all',
-  setData: {}
+  setData: {},
+  setLoadError: null,
+  profileId: DEFAULT_PROFILE_ID,
+  storageIssue: null   // { message, readOnly } when the save couldn't be loaded cleanly
 };
 
 // ===== INITIALIZATION =====
 
-export function initializeState() {
-  const stored = localStorage.getItem(STORAGE_KEY);
-  
-  if (stored) {
-    try {
-      state.data = JSON.parse(stored);
-      console.log('Loaded saved data:', getSummary());
-      migrateData();
-    } catch (error) {
-      console.error('Failed to parse stored data:', error);
-      state.data = getDefaultData();
-    }
+/**
+ * Load a profile's saved data through the storage adapter
+ * A save still under the profile's localStorage key (older versions,
+ * backup.html restores) is imported into the adapter and moved to the backup key.
+ * @param {Object} options - { profileId } to load (default: the current one),
+ *   { adapter } to use instead of openStorage() (tests)
+ */
+export async function initializeState(options = {}) {
+  await flushSave();
+  storage?.close();
+  
+  state.profileId = options.profileId || state.profileId;
+  state.storageIssue = null;
+  storage = options.adapter || await openStorage(state.profileId);
+  console.log(`Saving profile ${state.profileId} to`, storage.name);
+  
+  const legacy = storage.name === 'localStorage' ? null : localStorage.getItem(profileKey(STORAGE_KEY));
+  let loaded;
+  let unreadable = false;
+  
+  try {
+    loaded = legacy !== null ? parseSavedText(legacy) : await storage.load();
+  } catch (error) {
+    unreadable = true;
+    loaded = recoverUnreadableSave(error);
+  }
+  
+  if (loaded) {
+    loadSavedData(loaded);
   } else {
-    console.log('No saved data found, initializing with defaults');
+    if (!state.storageIssue) console.log('No saved data found, initializing with defaults');
     state.data = getDefaultData();
   }
+  
+  // Replace an unreadable save with what was recovered
+  if (state.storageIssue && !state.storageIssue.readOnly) save();
+  
+  if (legacy !== null && !state.storageIssue?.readOnly) {
+    console.log('Importing saved data from localStorage into', storage.name);
+    save();
+    if (await flushSave()) {
+      // An unreadable save is already kept under STORAGE_CORRUPT_KEY
+      if (!unreadable) writeStorage(profileKey(STORAGE_BACKUP_KEY), legacy);
+      localStorage.removeItem(profileKey(STORAGE_KEY));
+    }
+  }
+}
+
+/**
+ * Keep an unreadable save for recovery and fall back to the pre-migration backup
+ * @returns {Object|null} - Backup data, or null to start fresh
+ */
+function recoverUnreadableSave(error) {
+  if (error.raw === null || error.raw === undefined) {
+    // The store itself failed; don't overwrite what may still be there
+    console.error('Failed to read saved data:', error);
+    state.storageIssue = { message: "Your save couldn't be read. Progress this session will not be saved.", readOnly: true };
+    return null;
+  }
+  
+  console.error('Failed to parse stored data, keeping a copy under', profileKey(STORAGE_CORRUPT_KEY), error);
+  writeStorage(profileKey(STORAGE_CORRUPT_KEY), error.raw);
+  
+  try {
+    const backup = localStorage.getItem(profileKey(STORAGE_BACKUP_KEY));
+    const parsedBackup = backup !== null ? parseSavedText(backup) : null;
+    if (parsedBackup) {
+      state.storageIssue = { message: 'Your save was unreadable and has been restored from the last backup.', readOnly: false };
+      return parsedBackup;
+    }
+  } catch (backupError) {
+    console.error('Backup is unreadable too:', backupError);
+  }
+  
+  state.storageIssue = { message: 'Your save was unreadable, so a new collection was started. The old save has been kept.', readOnly: false };
+  return null;
+}
+
+/**
+ * Bring saved data up to SCHEMA_VERSION, backing it up first.
+ * A failed migration rolls back: storage is left as it was and saving is
+ * disabled for the session.
+ */
+function loadSavedData(parsed) {
+  const version = getSchemaVersion(parsed);
+  
+  if (version > SCHEMA_VERSION) {
+    console.warn(`Saved data is schema v${version}, newer than v${SCHEMA_VERSION}; not saving this session`);
+    state.data = { ...getDefaultData(), ...parsed };
+    state.storageIssue = { message: 'This save comes from a newer version of the app. Progress this session will not be saved.', readOnly: true };
+    return;
+  }
+  
+  if (version === SCHEMA_VERSION) {
+    state.data = parsed;
+    console.log('Loaded saved data:', getSummary());
+    return;
+  }
+  
+  console.log(`Migrating saved data from v${version} to v${SCHEMA_VERSION}...`);
+  writeStorage(profileKey(STORAGE_BACKUP_KEY), JSON.stringify(parsed));
+  
+  try {
+    state.data = runMigrations(parsed).data;
+  } catch (error) {
+    console.error('Migration failed, rolling back:', error);
+    state.data = { ...getDefaultData(), ...parsed };
+    state.storageIssue = { message: error.userMessage || error.message, readOnly: true };
+    return;
+  }
+  
+  console.log('Loaded saved data:', getSummary());
+  save();
 }
 
 function getDefaultData() {
   return {
+    schemaVersion: SCHEMA_VERSION,
     points: 0,
     last: Date.now(),
     cards: {},
     lastPack: null,
-    recentPacks: []
+    recentPacks: [],
+    packHistory: [],
+    pity: {},
+    settings: {},
+    crafting: { dust: 0, log: [] },
+    timer: { events: [] },
+    daily: { lastDay: null, streak: 0 },
+    progress: { day: null, missions: [], stats: {}, achievements: {} },
+    milestones: {},
+    tokens: { fullArtPack: 0 },
+    sealedPacks: {}
   };
 }
 
 function getSummary() {
   return {
+    schemaVersion: state.data.schemaVersion,
     points: state.data.points,
     lastPack: state.data.lastPack,
     setCount: Object.keys(state.data.cards).length,
@@ -67,148 +203,286 @@ function getSummary() {
 }
 
 // ===== PERSISTENCE =====
+// Changes are queued and written together: everything changed in the same
+// task (or inside batchWrites) becomes one adapter write.
 
-export function save() {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state.data));
-  } catch (error) {
-    console.error('Failed to save data:', error);
+let storage = null;
+let batchDepth = 0;
+let flushTimer = null;
+let writeChain = Promise.resolve(true);
+const pending = { meta: false, full: false, sets: new Set() };
+
+/**
+ * Queue a write of the whole collection, or of one set's cards
+ * (non-card fields are written with every flush)
+ * @param {string} [setCode] - Only this set's cards changed
+ */
+export function save(setCode) {
+  if (state.storageIssue?.readOnly) {
+    console.warn('Saving is disabled this session:', state.storageIssue.message);
+    return;
   }
+  
+  if (setCode) pending.sets.add(setCode);
+  else pending.full = true;
+  scheduleFlush();
 }
 
-// ===== DATA MIGRATION =====
-
-export function migrateData() {
-  let needsSave = false;
-  console.log('Running data migration...');
-  
-  // Ensure required fields exist
-  needsSave = ensureRequiredFields() || needsSave;
-  
-  // Migrate cards
-  needsSave = migrateCards() || needsSave;
+/**
+ * Queue a write of everything except cards
+ */
+function saveMeta() {
+  if (state.storageIssue?.readOnly) return;
   
-  if (needsSave) {
-    console.log('Migration complete, saving changes');
-    save();
-  } else {
-    console.log('No migration needed');
-  }
+  pending.meta = true;
+  scheduleFlush();
 }
 
-function ensureRequiredFields() {
-  let changed = false;
-  
-  if (!state.data.cards) {
-    state.data.cards = {};
-    changed = true;
-    console.log('Added missing cards object');
-  }
-  
-  if (!Array.isArray(state.data.recentPacks)) {
-    state.data.recentPacks = state.data.lastPack ? [state.data.lastPack] : [];
-    changed = true;
-    console.log('Initialized recentPacks array');
-  }
-  
-  return changed;
+function scheduleFlush() {
+  if (batchDepth > 0 || flushTimer !== null) return;
+  flushTimer = setTimeout(flushSave, 0);
 }
 
-function migrateCards() {
-  let changed = false;
-  
-  Object.keys(state.data.cards).forEach(setCode => {
-    const setCards = state.data.cards[setCode];
-    if (!isValidObject(setCards)) return;
-    
-    Object.keys(setCards).forEach(cardId => {
-      const card = setCards[cardId];
-      if (!isValidObject(card)) return;
-      
-      if (migrateCard(card, cardId)) {
-        changed = true;
-      }
-    });
-  });
-  
-  return changed;
+/**
+ * Run a function with writes held back, then write once
+ * @param {Function} fn - Synchronous changes
+ * @returns {Promise<boolean>} - Whether the write succeeded
+ */
+export function batchWrites(fn) {
+  batchDepth++;
+  try {
+    fn();
+  } finally {
+    batchDepth--;
+  }
+  return batchDepth === 0 ? flushSave() : writeChain;
 }
 
-function migrateCard(card, cardId) {
-  let changed = false;
+/**
+ * Write queued changes now
+ * @returns {Promise<boolean>} - Whether the latest write succeeded
+ */
+export function flushSave() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
   
-  // Add fullart flag if missing
-  if (card.fullart === undefined) {
-    card.fullart = cardId.endsWith('_fullart');
-    changed = true;
-  }
+  if (!storage || (!pending.meta && !pending.full && pending.sets.size === 0)) return writeChain;
   
-  // Add backImg if missing
-  if (card.backImg === undefined) {
-    card.backImg = MTG_CARD_BACK;
-    changed = true;
-  }
+  const changes = { full: pending.full, sets: [...pending.sets] };
+  pending.meta = false;
+  pending.full = false;
+  pending.sets.clear();
   
-  // Ensure count is a number
-  if (typeof card.count !== 'number') {
-    card.count = 1;
-    changed = true;
-  }
+  const adapter = storage;
+  writeChain = writeChain.then(() => adapter.write(state.data, changes)).then(
+    () => true,
+    error => {
+      reportStorageFailure(error);
+      pending.full = true; // Retry everything with the next save
+      return false;
+    }
+  );
+  return writeChain;
+}
+
+function reportStorageFailure(error) {
+  console.error('Failed to save data:', error);
+  state.storageIssue = { message: error.userMessage || `Saving failed: ${error.message}`, readOnly: false };
   
-  // Ensure name exists
-  if (!card.name) {
-    card.name = 'Unknown Card';
-    changed = true;
+  if (typeof document !== 'undefined') {
+    document.dispatchEvent(new CustomEvent('storageIssue', { detail: state.storageIssue }));
   }
-  
-  // Ensure img exists
-  if (!card.img) {
-    card.img = MTG_CARD_BACK;
-    changed = true;
+}
+
+function profileKey(base) {
+  return getProfileKey(base, state.profileId);
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (error) {
+    console.error(`Failed to write ${key}:`, error);
   }
-  
-  return changed;
 }
 
 function isValidObject(obj) {
   return obj && typeof obj === 'object';
 }
 
+// ===== CROSS-TAB REPLICATION =====
+// The mutations below are mirrored to other tabs on the same profile
+// (see tab-sync.js): each publishes its name and arguments, and other tabs
+// replay it, so changes made in two tabs merge instead of overwriting.
+
+let publishOperation = null;
+let applyingRemote = false;
+
+/**
+ * @param {Function|null} publisher - (name, args) => void
+ */
+export function setOperationPublisher(publisher) {
+  publishOperation = publisher;
+}
+
+function replicate(name, args) {
+  if (!applyingRemote && publishOperation) publishOperation(name, args);
+}
+
+/**
+ * Replay a mutation made in another tab (saved here too, not re-published)
+ * @param {string} name - Operation name
+ * @param {Array} args - Its arguments
+ * @returns {boolean} - False for unknown operations
+ */
+export function applyRemoteOperation(name, args) {
+  const operation = REPLICATED_OPERATIONS[name];
+  if (!operation) {
+    console.warn('Unknown operation from another tab:', name);
+    return false;
+  }
+  
+  applyingRemote = true;
+  try {
+    operation(...args);
+  } finally {
+    applyingRemote = false;
+  }
+  return true;
+}
+
 // ===== POINTS MANAGEMENT =====
 
 export function addPoints(amount) {
+  replicate('addPoints', [amount]);
   state.data.points += amount;
-  save();
+  saveMeta();
 }
 
 export function subtractPoints(amount) {
+  replicate('subtractPoints', [amount]);
   state.data.points -= amount;
-  save();
+  saveMeta();
 }
 
 export function setPoints(amount) {
+  replicate('setPoints', [amount]);
   state.data.points = amount;
-  save();
+  saveMeta();
 }
 
 export function updateLastTimestamp(timestamp) {
+  replicate('updateLastTimestamp', [timestamp]);
   state.data.last = timestamp;
-  save();
+  saveMeta();
+}
+
+/**
+ * Append point timer events (accruals, clock changes), keeping the newest
+ * @param {Array} events - { at, type, points, flagged, ... }
+ */
+export function recordTimerEvents(events) {
+  replicate('recordTimerEvents', [events]);
+  
+  state.data.timer.events.push(...events);
+  if (state.data.timer.events.length > POINT_TIMER_CONFIG.eventLimit) {
+    state.data.timer.events = state.data.timer.events.slice(-POINT_TIMER_CONFIG.eventLimit);
+  }
+  saveMeta();
+}
+
+export function getTimerEvents() {
+  return state.data.timer?.events || [];
+}
+
+/**
+ * Latest time the point timer has seen (clock changes can't move time back past it)
+ * @param {number} timestamp
+ */
+export function setTimerHighWater(timestamp) {
+  replicate('setTimerHighWater', [timestamp]);
+  state.data.timer.highWater = timestamp;
+  saveMeta();
+}
+
+export function getTimerHighWater() {
+  return state.data.timer?.highWater || 0;
+}
+
+/**
+ * Record the day's first visit
+ * @param {string} day - Local date, YYYY-MM-DD
+ * @param {number} streak - Consecutive days including this one
+ */
+export function recordDailyLogin(day, streak) {
+  replicate('recordDailyLogin', [day, streak]);
+  
+  state.data.daily = { lastDay: day, streak };
+  saveMeta();
+}
+
+export function getDailyLogin() {
+  return state.data.daily || { lastDay: null, streak: 0 };
 }
 
 // ===== CARD MANAGEMENT =====
 
-export function addCard(setCode, cardId, cardData) {
+export function addCard(setCode, cardId, cardData, copies = 1) {
+  // Stamped before replicating so every tab records the same time
+  const record = cardData.acquiredAt ? cardData : { ...cardData, acquiredAt: Date.now() };
+  replicate('addCard', [setCode, cardId, record, copies]);
+  
   if (!state.data.cards[setCode]) {
     state.data.cards[setCode] = {};
   }
   
   if (!state.data.cards[setCode][cardId]) {
-    state.data.cards[setCode][cardId] = cardData;
+    state.data.cards[setCode][cardId] = { ...record, id: cardId };
   }
   
-  state.data.cards[setCode][cardId].count++;
-  save();
+  state.data.cards[setCode][cardId].count += copies;
+  save(setCode);
+  notifyCollectionChanged();
+}
+
+/**
+ * Remove copies of a card, deleting it from the collection at zero
+ * @returns {number} - Copies actually removed
+ */
+export function removeCardCopies(setCode, cardId, copies) {
+  replicate('removeCardCopies', [setCode, cardId, copies]);
+  
+  const card = getCard(setCode, cardId);
+  if (!card) return 0;
+  
+  const removed = Math.min(copies, card.count);
+  card.count -= removed;
+  
+  if (card.count <= 0) {
+    delete state.data.cards[setCode][cardId];
+  }
+  
+  save(setCode);
+  notifyCollectionChanged();
+  return removed;
+}
+
+/**
+ * Merge fields into saved cards of a set (metadata backfill); counts are kept
+ * @param {string} setCode - The set code
+ * @param {Object} updates - { [cardId]: fields }
+ */
+export function updateCardRecords(setCode, updates) {
+  replicate('updateCardRecords', [setCode, updates]);
+  
+  const setCards = state.data.cards[setCode];
+  if (!setCards) return;
+  
+  Object.entries(updates).forEach(([cardId, fields]) => {
+    const card = setCards[cardId];
+    if (card) setCards[cardId] = { ...card, ...fields, id: cardId, count: card.count };
+  });
+  save(setCode);
 }
 
 export function getCard(setCode, cardId) {
@@ -220,23 +494,93 @@ export function getSetCards(setCode) {
 }
 
 export function clearAllCards() {
+  replicate('clearAllCards', []);
   state.data.cards = {};
   save();
+  notifyCollectionChanged();
+}
+
+/**
+ * Replace the whole collection (imports)
+ */
+export function replaceCards(cards) {
+  replicate('replaceCards', [cards]);
+  state.data.cards = cards;
+  save();
+  notifyCollectionChanged();
 }
 
 export function clearSetCards(setCode) {
+  replicate('clearSetCards', [setCode]);
+  
   if (state.data.cards[setCode]) {
     delete state.data.cards[setCode];
-    save();
+    save(setCode);
+    notifyCollectionChanged();
+  }
+}
+
+let collectionChangeTimer = null;
+
+/**
+ * Fire one `collectionChanged` on document per burst of local card changes
+ * (changes replayed from another tab raise `remoteStateChange` instead)
+ */
+function notifyCollectionChanged() {
+  if (applyingRemote || collectionChangeTimer !== null || typeof document === 'undefined') return;
+  
+  collectionChangeTimer = setTimeout(() => {
+    collectionChangeTimer = null;
+    document.dispatchEvent(new CustomEvent('collectionChanged'));
+  }, 0);
+}
+
+// ===== CRAFTING =====
+
+export function getDust() {
+  return state.data.crafting?.dust || 0;
+}
+
+export function addDust(amount) {
+  replicate('addDust', [amount]);
+  state.data.crafting.dust += amount;
+  saveMeta();
+}
+
+/**
+ * Append a crafting transaction to the persisted log
+ */
+export function logCraftingTransaction(transaction) {
+  replicate('logCraftingTransaction', [transaction]);
+  state.data.crafting.log.push(transaction);
+  
+  if (state.data.crafting.log.length > CRAFTING_LOG_LIMIT) {
+    state.data.crafting.log = state.data.crafting.log.slice(-CRAFTING_LOG_LIMIT);
+  }
+  saveMeta();
+}
+
+export function markCraftingTransactionUndone(id) {
+  replicate('markCraftingTransactionUndone', [id]);
+  
+  const transaction = getCraftingTransaction(id);
+  if (transaction) {
+    transaction.undone = true;
+    saveMeta();
   }
 }
 
+export function getCraftingTransaction(id) {
+  return state.data.crafting?.log.find(transaction => transaction.id === id) || null;
+}
+
 // ===== PACK HISTORY =====
 
 export function setLastPack(setCode) {
+  replicate('setLastPack', [setCode]);
   state.data.lastPack = setCode;
   updateRecentPacks(setCode);
-  save();
+  saveMeta();
 }
 
 function updateRecentPacks(setCode) {
@@ -268,6 +612,275 @@ export function getLastPack() {
   return state.data.lastPack;
 }
 
+/**
+ * Record an opened pack (newest first)
+ * @param {Object} entry - { setCode, seed, pity, pointsSpent, cards }
+ */
+export function recordPack(entry) {
+  const record = { openedAt: Date.now(), ...entry };
+  replicate('recordPack', [record]);
+  
+  if (!Array.isArray(state.data.packHistory)) {
+    state.data.packHistory = [];
+  }
+  
+  state.data.packHistory.unshift(record);
+  
+  if (state.data.packHistory.length > PACK_HISTORY_LIMIT) {
+    state.data.packHistory = state.data.packHistory.slice(0, PACK_HISTORY_LIMIT);
+  }
+  saveMeta();
+}
+
+export function getPackHistory() {
+  return Array.isArray(state.data.packHistory) ? state.data.packHistory : [];
+}
+
+// ===== PITY COUNTERS =====
+
+export function getPityCounters(setCode) {
+  return state.data.pity?.[setCode] || null;
+}
+
+export function setPityCounters(setCode, counters) {
+  replicate('setPityCounters', [setCode, counters]);
+  
+  if (!isValidObject(state.data.pity)) {
+    state.data.pity = {};
+  }
+  state.data.pity[setCode] = counters;
+  saveMeta();
+}
+
+// ===== MISSIONS & ACHIEVEMENTS =====
+
+export function getProgress() {
+  return state.data.progress;
+}
+
+/**
+ * Start a new day's missions
+ * @param {string} day - Local date, YYYY-MM-DD
+ * @param {Array} missions - From generateDailyMissions()
+ */
+export function setDailyMissions(day, missions) {
+  replicate('setDailyMissions', [day, missions]);
+  
+  state.data.progress.day = day;
+  state.data.progress.missions = missions;
+  saveMeta();
+}
+
+/**
+ * @param {string} id - Mission id
+ * @param {Object} changes - Fields to update (progress, seen, completedAt)
+ */
+export function updateMission(id, changes) {
+  replicate('updateMission', [id, changes]);
+  
+  const mission = state.data.progress.missions.find(m => m.id === id);
+  if (!mission) return;
+  Object.assign(mission, changes);
+  saveMeta();
+}
+
+/**
+ * Add to lifetime counters
+ * @param {Object} amounts - e.g. { packsOpened: 1, mythicsPulled: 2 }
+ */
+export function addProgressStats(amounts) {
+  replicate('addProgressStats', [amounts]);
+  
+  const { stats } = state.data.progress;
+  Object.entries(amounts).forEach(([key, amount]) => {
+    stats[key] = (stats[key] || 0) + amount;
+  });
+  saveMeta();
+}
+
+/**
+ * @param {string} id - Achievement id
+ * @param {Object} details - { unlockedAt, ... }
+ */
+export function unlockAchievement(id, details) {
+  replicate('unlockAchievement', [id, details]);
+  
+  if (state.data.progress.achievements[id]) return;
+  state.data.progress.achievements[id] = details;
+  saveMeta();
+}
+
+// ===== MILESTONES & TOKENS =====
+
+/**
+ * Claimed milestones and last known completion of a set
+ * @returns {Object} - { claimed: { [key]: timestamp }, completion } (completion
+ *   is null until the set has been loaded and measured)
+ */
+export function getSetMilestones(setCode) {
+  return state.data.milestones[setCode] || { claimed: {}, completion: null };
+}
+
+/**
+ * @param {string} setCode - The set code
+ * @param {Array<string>} keys - Milestone keys, e.g. 'rare:50'
+ * @param {number} completion - Overall completion percent
+ */
+export function claimSetMilestones(setCode, keys, completion) {
+  replicate('claimSetMilestones', [setCode, keys, completion]);
+  
+  const milestones = state.data.milestones[setCode] || { claimed: {}, completion: null };
+  keys.forEach(key => {
+    if (!milestones.claimed[key]) milestones.claimed[key] = Date.now();
+  });
+  milestones.completion = completion;
+  state.data.milestones[setCode] = milestones;
+  saveMeta();
+}
+
+export function getTokens(type) {
+  return state.data.tokens?.[type] || 0;
+}
+
+/**
+ * @param {string} type - e.g. 'fullArtPack'
+ * @param {number} amount - Negative to spend
+ */
+export function addTokens(type, amount) {
+  replicate('addTokens', [type, amount]);
+  
+  state.data.tokens[type] = Math.max(0, (state.data.tokens[type] || 0) + amount);
+  saveMeta();
+}
+
+// ===== SEALED PACKS =====
+
+export function getSealedPacks(setCode) {
+  return state.data.sealedPacks?.[setCode] || 0;
+}
+
+/**
+ * @returns {Object} - { [setCode]: count } for every set with sealed packs
+ */
+export function getAllSealedPacks() {
+  return { ...state.data.sealedPacks };
+}
+
+/**
+ * @param {string} setCode - The set code
+ * @param {number} amount - Negative to remove (opened packs)
+ */
+export function addSealedPacks(setCode, amount) {
+  replicate('addSealedPacks', [setCode, amount]);
+  
+  const count = Math.max(0, getSealedPacks(setCode) + amount);
+  if (count > 0) {
+    state.data.sealedPacks[setCode] = count;
+  } else {
+    delete state.data.sealedPacks[setCode];
+  }
+  saveMeta();
+}
+
+// ===== SETTINGS =====
+
+/**
+ * Player's duplicate protection choice for a set (null = use the set default)
+ */
+export function getDuplicateProtectionEnabled(setCode) {
+  return state.data.settings?.duplicateProtection?.[setCode] ?? null;
+}
+
+export function setDuplicateProtectionEnabled(setCode, enabled) {
+  replicate('setDuplicateProtectionEnabled', [setCode, enabled]);
+  
+  if (!isValidObject(state.data.settings)) {
+    state.data.settings = {};
+  }
+  if (!isValidObject(state.data.settings.duplicateProtection)) {
+    state.data.settings.duplicateProtection = {};
+  }
+  state.data.settings.duplicateProtection[setCode] = enabled;
+  saveMeta();
+}
+
+/**
+ * Saved collection toolbar filters for a set (merged over the defaults by collection-filters.js)
+ */
+export function getCollectionFilterSettings(setCode) {
+  return state.data.settings?.collectionFilters?.[setCode] || null;
+}
+
+/**
+ * @param {string} setCode - The set code
+ * @param {Object|null} filters - null clears the set's filters
+ */
+export function setCollectionFilterSettings(setCode, filters) {
+  replicate('setCollectionFilterSettings', [setCode, filters]);
+  
+  if (!isValidObject(state.data.settings)) {
+    state.data.settings = {};
+  }
+  if (!isValidObject(state.data.settings.collectionFilters)) {
+    state.data.settings.collectionFilters = {};
+  }
+  if (filters) {
+    state.data.settings.collectionFilters[setCode] = filters;
+  } else {
+    delete state.data.settings.collectionFilters[setCode];
+  }
+  saveMeta();
+}
+
+/**
+ * Player's point economy overrides (merged over ECONOMY_CONFIG by economy.js)
+ */
+export function getEconomyOverrides() {
+  return state.data.settings?.economy || {};
+}
+
+export function setEconomyOverrides(overrides) {
+  replicate('setEconomyOverrides', [overrides]);
+  
+  if (!isValidObject(state.data.settings)) {
+    state.data.settings = {};
+  }
+  state.data.settings.economy = overrides;
+  saveMeta();
+}
+
+const REPLICATED_OPERATIONS = {
+  addPoints,
+  subtractPoints,
+  setPoints,
+  updateLastTimestamp,
+  recordTimerEvents,
+  setTimerHighWater,
+  recordDailyLogin,
+  addCard,
+  removeCardCopies,
+  updateCardRecords,
+  clearAllCards,
+  replaceCards,
+  clearSetCards,
+  addDust,
+  logCraftingTransaction,
+  markCraftingTransactionUndone,
+  setLastPack,
+  recordPack,
+  setPityCounters,
+  setDuplicateProtectionEnabled,
+  setCollectionFilterSettings,
+  setEconomyOverrides,
+  setDailyMissions,
+  updateMission,
+  addProgressStats,
+  unlockAchievement,
+  claimSetMilestones,
+  addTokens,
+  addSealedPacks
+};
+
 // ===== SESSION STATE =====
 
 export function setCurrentSet(setCode) {
@@ -278,7 +891,12 @@ export function setActiveRarity(rarity) {
   state.activeRarity = rarity;
 }
 
-export function updateCardsData(cards, fullArt, masterpieces, spotlights) {
+/**
+ * Card lists of the loaded set
+ * @param {string} [setCode] - Set they belong to (null while nothing is loaded)
+ */
+export function updateCardsData(cards, fullArt, masterpieces, spotlights, setCode = null) {
+  state.loadedSet = setCode;
   state.allCards = cards;
   state.fullArtCards = fullArt;
   state.masterpieceCards = masterpieces;
@@ -286,6 +904,10 @@ export function updateCardsData(cards, fullArt, masterpieces, spotlights) {
   state.setSize = cards.length;
 }
 
+export function setSetLoadError(message) {
+  state.setLoadError = message;
+}
+
 export function addSetMetadata(setCode, metadata) {
   state.setData[setCode] = metadata;
 }
@@ -303,7 +925,11 @@ export const getFullArtCards = () => state.fullArtCards;
 export const getMasterpieceCards = () => state.masterpieceCards;
 export const getStorySpotlightCards = () => state.storySpotlightCards;
 export const getCurrentSet = () => state.currentSet;
+export const getLoadedSet = () => state.loadedSet;
 export const getSetSize = () => state.setSize;
 export const getActiveRarity = () => state.activeRarity;
+export const getSetLoadError = () => state.setLoadError;
+export const getStorageIssue = () => state.storageIssue;
+export const getProfileId = () => state.profileId;
 export const getPoints = () => state.data.points;
 export const getLastTimestamp = () => state.data.last;
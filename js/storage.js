@@ -0,0 +1,257 @@
+/**
+ * MTG Pocket - Storage Adapters
+ *
+ * Where state.data is persisted. Every adapter has the same shape:
+ *   name                       - 'indexedDB' | 'localStorage' | 'memory'
+ *   load()                     - Promise<Object|null>, the saved data or null when empty
+ *   write(data, { full, sets }) - Promise; `full` rewrites every set, otherwise only
+ *                                the listed set codes are written (deleted when gone)
+ *   close()                    - Release the underlying connection
+ *
+ * IndexedDB (default) keeps one record for everything except cards, plus one
+ * record per set, so opening a pack writes a single set. localStorage keeps
+ * the whole blob under STORAGE_KEY, as older versions did.
+ *
+ * Each profile gets its own database / key (see getProfileKey); the default
+ * profile uses the unsuffixed names so saves from before profiles still load.
+ */
+
+import {
+  STORAGE_KEY,
+  STORAGE_BACKUP_KEY,
+  STORAGE_CORRUPT_KEY,
+  STORAGE_DB_CONFIG,
+  DEFAULT_PROFILE_ID
+} from './constants.js';
+import { StorageError } from './errors.js';
+
+const META_KEY = 'data';
+
+/**
+ * Storage name (database or localStorage key) for a profile
+ * @param {string} base - e.g. STORAGE_KEY
+ * @param {string} [profileId] - Defaults to the default profile
+ * @returns {string}
+ */
+export function getProfileKey(base, profileId = DEFAULT_PROFILE_ID) {
+  return profileId === DEFAULT_PROFILE_ID ? base : `${base}:${profileId}`;
+}
+
+// ===== SELECTION =====
+
+/**
+ * Open the best available adapter: IndexedDB, else localStorage
+ * @param {string} [profileId] - Profile whose save to open
+ * @returns {Promise<Object>} - Adapter
+ */
+export async function openStorage(profileId = DEFAULT_PROFILE_ID) {
+  const adapter = await openIndexedDbAdapter(profileId);
+  if (adapter) return adapter;
+
+  console.warn('IndexedDB unavailable, saving to localStorage');
+  return createLocalStorageAdapter(profileId);
+}
+
+/**
+ * Delete everything saved for a profile (database and localStorage keys)
+ * @param {string} profileId - Profile to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteStorage(profileId) {
+  [STORAGE_KEY, STORAGE_BACKUP_KEY, STORAGE_CORRUPT_KEY].forEach(base => {
+    localStorage.removeItem(getProfileKey(base, profileId));
+  });
+
+  if (typeof indexedDB === 'undefined') return;
+
+  await new Promise(resolve => {
+    const request = indexedDB.deleteDatabase(getProfileKey(STORAGE_DB_CONFIG.dbName, profileId));
+    request.onsuccess = () => resolve();
+    request.onerror = () => {
+      console.warn('Could not delete save database for', profileId, request.error);
+      resolve();
+    };
+  });
+}
+
+// ===== INDEXEDDB =====
+
+/**
+ * @param {string} [profileId] - Profile whose database to open
+ * @returns {Promise<Object|null>} - Adapter, or null when IndexedDB is unavailable
+ */
+export async function openIndexedDbAdapter(profileId = DEFAULT_PROFILE_ID) {
+  const db = await openDatabase(getProfileKey(STORAGE_DB_CONFIG.dbName, profileId));
+  if (!db) return null;
+
+  const { metaStore, setStore } = STORAGE_DB_CONFIG;
+
+  return {
+    name: 'indexedDB',
+
+    async load() {
+      const { meta, sets } = await runTransaction(db, 'readonly', tx => ({
+        meta: tx.objectStore(metaStore).get(META_KEY),
+        sets: tx.objectStore(setStore).getAll()
+      }));
+      if (!meta) return null;
+
+      return {
+        ...meta.value,
+        cards: Object.fromEntries(sets.map(record => [record.setCode, record.cards]))
+      };
+    },
+
+    write(data, { full = false, sets = [] } = {}) {
+      const { cards, ...meta } = data;
+
+      return runTransaction(db, 'readwrite', tx => {
+        const setRecords = tx.objectStore(setStore);
+        tx.objectStore(metaStore).put({ key: META_KEY, value: meta });
+
+        if (full) setRecords.clear();
+        const setCodes = full ? Object.keys(cards) : sets;
+
+        setCodes.forEach(setCode => {
+          if (cards[setCode]) {
+            setRecords.put({ setCode, cards: cards[setCode] });
+          } else {
+            setRecords.delete(setCode);
+          }
+        });
+        return {};
+      });
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+function openDatabase(name) {
+  return new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(name, STORAGE_DB_CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORAGE_DB_CONFIG.metaStore)) {
+          db.createObjectStore(STORAGE_DB_CONFIG.metaStore, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(STORAGE_DB_CONFIG.setStore)) {
+          db.createObjectStore(STORAGE_DB_CONFIG.setStore, { keyPath: 'setCode' });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => db.close(); // Let a profile delete go through
+        resolve(db);
+      };
+      request.onerror = () => {
+        console.warn('Save database unavailable:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('Save database unavailable:', error);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Run requests in one transaction and resolve with their results once it commits
+ * @param {Function} operation - (tx) => { name: IDBRequest }
+ */
+function runTransaction(db, mode, operation) {
+  const { metaStore, setStore } = STORAGE_DB_CONFIG;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([metaStore, setStore], mode);
+    const requests = operation(tx);
+    const fail = () => reject(new StorageError(`Save database ${mode} failed: ${tx.error?.message}`, { cause: tx.error }));
+
+    tx.oncomplete = () => resolve(Object.fromEntries(
+      Object.entries(requests).map(([name, request]) => [name, request.result])
+    ));
+    tx.onerror = fail;
+    tx.onabort = fail;
+  });
+}
+
+// ===== LOCALSTORAGE =====
+
+/**
+ * @param {string} [profileId] - Profile whose key to use
+ */
+export function createLocalStorageAdapter(profileId = DEFAULT_PROFILE_ID) {
+  const key = getProfileKey(STORAGE_KEY, profileId);
+
+  return {
+    name: 'localStorage',
+
+    async load() {
+      const stored = localStorage.getItem(key);
+      return stored === null ? null : parseSavedText(stored);
+    },
+
+    async write(data) {
+      try {
+        localStorage.setItem(key, JSON.stringify(data));
+      } catch (error) {
+        throw new StorageError(`localStorage write failed: ${error.message}`, { cause: error });
+      }
+    },
+
+    close() {}
+  };
+}
+
+// ===== MEMORY =====
+
+/**
+ * Adapter that keeps data in memory (tests, private browsing fallbacks)
+ * @param {Object} [initial] - Data to start with
+ */
+export function createMemoryAdapter(initial = null) {
+  let saved = initial ? structuredClone(initial) : null;
+
+  return {
+    name: 'memory',
+    async load() {
+      return saved ? structuredClone(saved) : null;
+    },
+    async write(data) {
+      saved = structuredClone(data);
+    },
+    close() {}
+  };
+}
+
+// ===== PARSING =====
+
+/**
+ * Parse a saved JSON blob
+ * @param {string} text - Stored text
+ * @returns {Object} - Saved data
+ * @throws {StorageError} - When unreadable; `raw` keeps the text for recovery
+ */
+export function parseSavedText(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new StorageError(`Saved data is unreadable: ${error.message}`, { raw: text, cause: error });
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new StorageError('Saved data is not an object', { raw: text });
+  }
+  return parsed;
+}
@@ -0,0 +1,130 @@
+/**
+ * MTG Pocket - Cross-Tab Sync
+ *
+ * Keeps tabs open on the same profile in step:
+ * - Every state mutation is broadcast (BroadcastChannel, or localStorage
+ *   `storage` events where that's missing) and replayed by the other tabs,
+ *   so a card added in one tab is added, not overwritten, in the others
+ * - One tab per profile holds a Web Lock and runs the point timer; the
+ *   others only display it, so points are never granted twice
+ * - Replayed changes fire `remoteStateChange` on document for the UI
+ */
+
+import { TAB_SYNC_CONFIG } from './constants.js';
+import { getProfileId, setOperationPublisher, applyRemoteOperation } from './state.js';
+import { getProfileKey } from './storage.js';
+
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+let channel = null;
+let messageCounter = 0;
+let refreshTimer = null;
+let timerOwner = false;
+let releaseTimerLock = null;
+
+// ===== SETUP =====
+
+/**
+ * Start syncing with other tabs (after initializeState)
+ */
+export function initTabSync() {
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(TAB_SYNC_CONFIG.channelName);
+    channel.onmessage = event => handleMessage(event.data);
+  } else {
+    window.addEventListener('storage', event => {
+      if (event.key !== TAB_SYNC_CONFIG.channelName || !event.newValue) return;
+      try {
+        handleMessage(JSON.parse(event.newValue));
+      } catch (error) {
+        console.warn('Unreadable sync message:', error);
+      }
+    });
+  }
+
+  setOperationPublisher((name, args) => post({ type: 'operation', name, args }));
+
+  claimTimer();
+  document.addEventListener('profileChanged', claimTimer);
+  console.log('🔗 Tab sync started:', tabId, channel ? '(BroadcastChannel)' : '(storage events)');
+}
+
+// ===== MESSAGES =====
+
+function post(message) {
+  const envelope = { ...message, tabId, profileId: getProfileId(), id: ++messageCounter };
+
+  if (channel) {
+    channel.postMessage(envelope);
+    return;
+  }
+
+  try {
+    localStorage.setItem(TAB_SYNC_CONFIG.channelName, JSON.stringify(envelope));
+  } catch (error) {
+    console.warn('Could not notify other tabs:', error);
+  }
+}
+
+/**
+ * Apply a message from another tab
+ * @param {Object} message - { type, tabId, profileId, name, args }
+ * @returns {boolean} - Whether it changed this tab's state
+ */
+export function handleMessage(message) {
+  if (!message || message.tabId === tabId || message.profileId !== getProfileId()) return false;
+  if (message.type !== 'operation') return false;
+
+  if (!applyRemoteOperation(message.name, message.args)) return false;
+  scheduleRefresh();
+  return true;
+}
+
+function scheduleRefresh() {
+  if (refreshTimer !== null) return;
+
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    document.dispatchEvent(new CustomEvent('remoteStateChange'));
+  }, TAB_SYNC_CONFIG.refreshDelay);
+}
+
+// ===== POINT TIMER OWNERSHIP =====
+
+/**
+ * Whether this tab grants timer points for the current profile
+ */
+export function isTimerOwner() {
+  return timerOwner;
+}
+
+/**
+ * Queue for the current profile's timer lock (releasing any previous one)
+ */
+function claimTimer() {
+  releaseTimerLock?.();
+  timerOwner = false;
+
+  if (typeof navigator === 'undefined' || !navigator.locks) {
+    console.warn('Web Locks unavailable: every tab runs the point timer');
+    timerOwner = true;
+    return;
+  }
+
+  const controller = new AbortController();
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+
+  navigator.locks.request(getProfileKey(TAB_SYNC_CONFIG.timerLock, getProfileId()), { signal: controller.signal }, () => {
+    timerOwner = true;
+    console.log('⏰ This tab now runs the point timer');
+    return held;
+  }).catch(error => {
+    if (error.name !== 'AbortError') console.warn('Timer lock failed:', error);
+  });
+
+  releaseTimerLock = () => {
+    controller.abort();
+    release();
+    timerOwner = false;
+  };
+}
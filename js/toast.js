@@ -0,0 +1,41 @@
+/**
+ * MTG Pocket - Toasts
+ *
+ * Short, non-blocking notifications stacked in the corner of the screen.
+ */
+
+import { TOAST_DURATION } from './constants.js';
+import { createElement } from './utils.js';
+
+/**
+ * Show a toast
+ * @param {string} title - Main line
+ * @param {Object} options - { icon, detail, duration }
+ */
+export function showToast(title, { icon = '✨', detail = '', duration = TOAST_DURATION } = {}) {
+  const toast = createElement('div', 'toast');
+  toast.appendChild(createElement('span', 'toastIcon', icon));
+
+  const text = createElement('div', 'toastText');
+  text.appendChild(createElement('div', 'toastTitle', title));
+  if (detail) text.appendChild(createElement('div', 'toastDetail', detail));
+  toast.appendChild(text);
+
+  getContainer().appendChild(toast);
+  requestAnimationFrame(() => toast.classList.add('visible'));
+
+  setTimeout(() => {
+    toast.classList.remove('visible');
+    setTimeout(() => toast.remove(), 300);
+  }, duration);
+}
+
+function getContainer() {
+  let container = document.getElementById('toastContainer');
+  if (!container) {
+    container = createElement('div', 'toastContainer');
+    container.id = 'toastContainer';
+    document.body.appendChild(container);
+  }
+  return container;
+}
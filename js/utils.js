@@ -5,17 +5,11 @@
  * Extracted configuration, reduced duplication.
  */
 
-import { RARITY_THRESHOLDS, MTG_CARD_BACK, GLARE_CONFIG } from './constants.js';
+import { MTG_CARD_BACK, GLARE_CONFIG, CARD_SUFFIXES, CARD_METADATA_VERSION } from './constants.js';
 
 // ===== RARITY ROLLING =====
-
-export function rollRarity() {
-  const roll = Math.random() * 100;
-  if (roll < RARITY_THRESHOLDS.mythic) return 'mythic';
-  if (roll < RARITY_THRESHOLDS.rare) return 'rare';
-  if (roll < RARITY_THRESHOLDS.uncommon) return 'uncommon';
-  return 'common';
-}
+// Lives in the odds engine; re-exported for existing callers
+export { rollRarity } from './odds.js';
 
 // ===== CARD IMAGE EXTRACTION =====
 
@@ -24,7 +18,8 @@ export function getCardImages(card) {
   if (card.image_uris) {
     return {
       front: card.image_uris.normal,
-      back: card.card_faces?.[1]?.image_uris?.normal || MTG_CARD_BACK
+      back: card.card_faces?.[1]?.image_uris?.normal || MTG_CARD_BACK,
+      thumb: card.image_uris.small || card.image_uris.normal
     };
   }
   
@@ -32,12 +27,74 @@ export function getCardImages(card) {
   if (card.card_faces?.[0]?.image_uris) {
     return {
       front: card.card_faces[0].image_uris.normal,
-      back: card.card_faces[1]?.image_uris?.normal || MTG_CARD_BACK
+      back: card.card_faces[1]?.image_uris?.normal || MTG_CARD_BACK,
+      thumb: card.card_faces[0].image_uris.small || card.card_faces[0].image_uris.normal
     };
   }
   
   // Fallback
-  return { front: MTG_CARD_BACK, back: MTG_CARD_BACK };
+  return { front: MTG_CARD_BACK, back: MTG_CARD_BACK, thumb: MTG_CARD_BACK };
+}
+
+/**
+ * Low-res front image for card grids (Scryfall's `small` size)
+ * Cards saved before thumbnails only have the normal image; Scryfall serves
+ * every size under the same path, so the size is swapped in the url.
+ * @param {Object} card - Saved card or reveal card
+ * @returns {string}
+ */
+export function getCardThumbnail(card) {
+  return card.thumb || card.img?.replace('/normal/', '/small/') || MTG_CARD_BACK;
+}
+
+// ===== CARD METADATA =====
+
+// Fields getCardMetadata() adds to a saved card
+export const CARD_METADATA_FIELDS = [
+  'metadataVersion', 'manaCost', 'manaValue', 'typeLine', 'colors', 'colorIdentity',
+  'oracleText', 'flavorText', 'artist', 'prices', 'legalities'
+];
+
+/**
+ * Details saved with a pulled card (search, deck building, value tracking)
+ * Double-faced cards join their faces' mana costs and rules text with "//".
+ * @param {Object} card - Scryfall card
+ * @returns {Object} - The CARD_METADATA_FIELDS
+ */
+export function getCardMetadata(card) {
+  const faces = card.card_faces || [];
+  const fromFaces = field => faces.map(face => face[field]).filter(Boolean).join(' // ');
+  const toPrice = value => (value ? Number(value) : null);
+
+  return {
+    metadataVersion: CARD_METADATA_VERSION,
+    manaCost: card.mana_cost ?? fromFaces('mana_cost'),
+    manaValue: typeof card.cmc === 'number' ? card.cmc : null,
+    typeLine: card.type_line || fromFaces('type_line'),
+    colors: card.colors || faces[0]?.colors || [],
+    colorIdentity: card.color_identity || [],
+    oracleText: card.oracle_text ?? fromFaces('oracle_text'),
+    flavorText: card.flavor_text ?? fromFaces('flavor_text'),
+    artist: card.artist || faces[0]?.artist || '',
+    prices: {
+      usd: toPrice(card.prices?.usd),
+      usdFoil: toPrice(card.prices?.usd_foil),
+      eur: toPrice(card.prices?.eur)
+    },
+    // Formats the card isn't legal in are left out
+    legalities: Object.fromEntries(Object.entries(card.legalities || {})
+      .filter(([, legality]) => legality !== 'not_legal'))
+  };
+}
+
+/**
+ * Scryfall id a saved card id was made from (variants add a suffix)
+ * @param {string} cardId - Saved card id
+ * @returns {string}
+ */
+export function getBaseCardId(cardId) {
+  const suffix = Object.values(CARD_SUFFIXES).find(value => cardId.endsWith(value));
+  return suffix ? cardId.slice(0, -suffix.length) : cardId;
 }
 
 export function isDoubleFaced(backImg) {
@@ -47,7 +104,7 @@ export function isDoubleFaced(backImg) {
 // ===== TIME FORMATTING =====
 
 export function formatTime(ms) {
-  const totalSeconds = Math.floor(ms / 1000);
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
   const minutes = Math.floor(totalSeconds / 60);
   const seconds = totalSeconds % 60;
   return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
@@ -346,20 +403,22 @@ class HolographicController {
 
 // ===== ARRAY UTILITIES =====
 
-export function getRandomElement(array) {
-  return array[Math.floor(Math.random() * array.length)];
+// Random helpers take an optional rng (see rng.js) for reproducible results
+
+export function getRandomElement(array, rng = Math.random) {
+  return array[Math.floor(rng() * array.length)];
 }
 
-export function shuffleArray(array) {
+export function shuffleArray(array, rng = Math.random) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
 }
 
-export function randomChance(probability) {
-  return Math.random() < probability;
+export function randomChance(probability, rng = Math.random) {
+  return rng() < probability;
 }
 
 // ===== DOM UTILITIES =====
@@ -390,6 +449,14 @@ export function groupCardsByName(cardsObject) {
   return grouped;
 }
 
+/**
+ * Owned / total unique cards per rarity
+ * Both sides count card names, so a name with several printings in the set
+ * (basic land arts, showcase and borderless copies) counts once.
+ * @param {Object} ownedCards - Saved cards of the set
+ * @param {Array} allCards - The set's card list
+ * @returns {Object} - { common, uncommon, rare, mythic: { owned, total } }
+ */
 export function calculateCollectionStats(ownedCards, allCards) {
   const stats = {
     common: { owned: 0, total: 0 },
@@ -398,16 +465,19 @@ export function calculateCollectionStats(ownedCards, allCards) {
     mythic: { owned: 0, total: 0 }
   };
   
-  // Count totals
+  // Count totals (one per name, at the rarity of its first printing)
+  const rarityByName = new Map();
   allCards.forEach(card => {
-    if (stats[card.rarity]) stats[card.rarity].total++;
+    if (!stats[card.rarity] || rarityByName.has(card.name)) return;
+    rarityByName.set(card.name, card.rarity);
+    stats[card.rarity].total++;
   });
   
-  // Count owned (only non-fullart variants)
+  // Count owned (only non-fullart variants of names in the set list)
   const ownedNames = new Set();
   Object.values(ownedCards).forEach(card => {
-    if (card.fullart === false && !ownedNames.has(card.name)) {
-      if (stats[card.rarity]) stats[card.rarity].owned++;
+    if (card.fullart === false && rarityByName.has(card.name) && !ownedNames.has(card.name)) {
+      stats[rarityByName.get(card.name)].owned++;
       ownedNames.add(card.name);
     }
   });
@@ -419,3 +489,9 @@ export function calculatePercentage(owned, total) {
   if (total === 0) return 0;
   return Math.round((owned / total) * 100);
 }
+
+export function formatProbability(probability) {
+  if (probability <= 0) return '0%';
+  if (probability < 0.0001) return '<0.01%';
+  return `${(probability * 100).toFixed(2)}%`;
+}
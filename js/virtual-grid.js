@@ -0,0 +1,191 @@
+/**
+ * MTG Pocket - Virtual Grid
+ *
+ * Windowed rendering for long card grids: only the rows near the viewport
+ * are mounted, with a spacer above and below standing in for the rest.
+ * Items are keyed, so re-sorting and filtering reuse mounted elements, and
+ * an item is only rebuilt when its signature changes (e.g. its copy count
+ * after a pack). Scrolling only adds and removes the rows entering and
+ * leaving the window. The grid keeps its CSS layout; columns are read from the
+ * container and every row is assumed to be one height (cards and
+ * placeholders share the card aspect ratio).
+ */
+
+import { COLLECTION_GRID } from './constants.js';
+
+// ===== WINDOW =====
+
+/**
+ * Items to mount for the part of the grid in view
+ * Until the row height is known only the first row is mounted (to measure it).
+ * @param {Object} layout - { itemCount, columns, rowHeight, viewportTop, viewportHeight, overscan }
+ *   viewportTop is how far the viewport starts below the grid's top (px)
+ * @returns {Object} - { start, end, rowsAbove, rowsBelow } (items start..end-1 are mounted)
+ */
+export function getVisibleRange({ itemCount, columns, rowHeight, viewportTop, viewportHeight, overscan = 0 }) {
+  const rows = Math.ceil(itemCount / columns);
+
+  if (rowHeight <= 0) {
+    const firstRow = Math.min(1, rows);
+    return { start: 0, end: Math.min(itemCount, columns), rowsAbove: 0, rowsBelow: rows - firstRow };
+  }
+
+  const firstRow = clamp(Math.floor(viewportTop / rowHeight) - overscan, 0, rows);
+  const lastRow = clamp(Math.ceil((viewportTop + viewportHeight) / rowHeight) + overscan, firstRow, rows);
+
+  return {
+    start: firstRow * columns,
+    end: Math.min(itemCount, lastRow * columns),
+    rowsAbove: firstRow,
+    rowsBelow: rows - lastRow
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// ===== GRID =====
+
+export class VirtualGrid {
+  /**
+   * @param {HTMLElement} container - Grid element (display: grid)
+   * @param {Object} options
+   * @param {Function} options.renderItem - (item) => element
+   * @param {Function} options.getKey - (item) => unique key
+   * @param {Function} [options.getSignature] - (item) => string; a change rebuilds the element
+   */
+  constructor(container, { renderItem, getKey, getSignature = () => '' }) {
+    this.container = container;
+    this.renderItem = renderItem;
+    this.getKey = getKey;
+    this.getSignature = getSignature;
+    this.items = [];
+    this.mounted = new Map(); // key -> { element, signature }
+    this.rendered = [];       // Elements in the grid, in order
+    this.rowHeight = 0;
+    this.frame = null;
+
+    this.topSpacer = createSpacer();
+    this.bottomSpacer = createSpacer();
+
+    // Capturing catches scrolling of the page and of #collectionView (mobile)
+    document.addEventListener('scroll', () => this.scheduleRender(), { capture: true, passive: true });
+    window.addEventListener('resize', () => {
+      this.rowHeight = 0;
+      this.scheduleRender();
+    });
+  }
+
+  /**
+   * Show a new list of items, rebuilding only those whose signature changed
+   * @param {Array} items - In display order
+   */
+  setItems(items) {
+    this.items = items;
+
+    const signatures = new Map(items.map(item => [this.getKey(item), this.getSignature(item)]));
+    this.mounted.forEach((mounted, key) => {
+      if (signatures.get(key) !== mounted.signature) this.mounted.delete(key);
+    });
+
+    this.render();
+  }
+
+  scheduleRender() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Mount the rows in view (skipped while the grid is hidden; it renders when shown)
+   */
+  render() {
+    if (!this.container.isConnected || this.container.offsetParent === null) return;
+
+    const style = getComputedStyle(this.container);
+    const columns = style.gridTemplateColumns.split(' ').filter(Boolean).length || 1;
+    const rowGap = parseFloat(style.rowGap) || 0;
+
+    const range = getVisibleRange({
+      itemCount: this.items.length,
+      columns,
+      rowHeight: this.rowHeight,
+      viewportTop: -(this.container.getBoundingClientRect().top + (parseFloat(style.paddingTop) || 0)),
+      viewportHeight: window.innerHeight,
+      overscan: COLLECTION_GRID.overscanRows
+    });
+
+    this.mount(range, rowGap);
+
+    // First render (or after a resize): measure a row, then mount the real window
+    if (!this.rowHeight && range.end > range.start) {
+      this.rowHeight = this.mounted.get(this.getKey(this.items[0])).element.offsetHeight + rowGap;
+      if (this.rowHeight > rowGap) this.render();
+    }
+  }
+
+  mount({ start, end, rowsAbove, rowsBelow }, rowGap) {
+    const visible = new Map();
+    const elements = this.items.slice(start, end).map(item => {
+      const key = this.getKey(item);
+      const mounted = this.mounted.get(key) || { element: this.renderItem(item), signature: this.getSignature(item) };
+      visible.set(key, mounted);
+      return mounted.element;
+    });
+
+    // Rows out of view are dropped; scrolling back rebuilds them
+    this.mounted = visible;
+
+    setSpacer(this.topSpacer, rowsAbove, this.rowHeight, rowGap);
+    setSpacer(this.bottomSpacer, rowsBelow, this.rowHeight, rowGap);
+
+    // Most scroll frames keep the same window; leave the DOM alone then
+    if (sameElements(elements, this.rendered)) return;
+    this.placeElements(elements);
+    this.rendered = elements;
+  }
+
+  /**
+   * Move the grid's children to match `elements`, only touching the ones
+   * that left, arrived or moved (so scrolling a row adds and removes one row)
+   */
+  placeElements(elements) {
+    if (this.topSpacer.parentNode !== this.container) {
+      this.container.replaceChildren(this.topSpacer, this.bottomSpacer);
+    }
+
+    const keep = new Set(elements);
+    this.rendered.forEach(element => {
+      if (!keep.has(element) && element.parentNode === this.container) element.remove();
+    });
+
+    let next = this.topSpacer.nextSibling;
+    elements.forEach(element => {
+      if (element === next) {
+        next = next.nextSibling;
+      } else {
+        this.container.insertBefore(element, next);
+      }
+    });
+  }
+}
+
+function sameElements(a, b) {
+  return a.length === b.length && a.every((element, index) => element === b[index]);
+}
+
+function createSpacer() {
+  const spacer = document.createElement('div');
+  spacer.className = 'gridSpacer';
+  return spacer;
+}
+
+// A spacer fills one grid row, so the gap after it is already counted
+function setSpacer(spacer, rows, rowHeight, rowGap) {
+  spacer.style.display = rows > 0 ? 'block' : 'none';
+  spacer.style.height = `${Math.max(0, rows * rowHeight - rowGap)}px`;
+}